@@ -2,6 +2,23 @@
 
 const fs = require('fs');
 const path = require('path');
+const SkillNames = require('./lib/skill_names');
+const PacketStats = require('./lib/packet_stats');
+const SkillTimeline = require('./lib/skill_timeline');
+const SkillStats = require('./lib/skill_stats');
+const EntityRegistry = require('./lib/entity_registry');
+const EncounterTracker = require('./lib/encounter_tracker');
+const ChatThrottle = require('./lib/chat_throttle');
+const InventoryTracker = require('./lib/inventory_tracker');
+const EquipmentLoadout = require('./lib/equipment_loadout');
+const WatchedPackets = require('./lib/watched_packets');
+const { RotatingLogFile, BatchedLogFile, OVERFLOW_POLICIES, enforceRetention, compressLogFile, moveLogFile } = require('./lib/log_file');
+const { parseFilter, compileFilters } = require('./lib/packet_filter');
+const { parseFieldFilter, compileFieldFilters, getField } = require('./lib/field_filter');
+const { diffFields, diffBytes } = require('./lib/packet_diff');
+const { parsePacketLimit, compilePacketLimits } = require('./lib/packet_limits');
+const { PACKET_LOG_FORMATS, bigIntReplacer, formatPacketRecord } = require('./lib/log_format');
+const { parseReplayTime, loadReplayPackets, ReplaySession, withOpcode } = require('./lib/replay');
 
 // Helper to ensure log directory exists
 function ensureDirectoryExistence(filePath) {
@@ -13,14 +30,50 @@ function ensureDirectoryExistence(filePath) {
     fs.mkdirSync(dirname);
 }
 
-// Replacer function to handle BigInt serialization for JSON.stringify
-function bigIntReplacer(key, value) {
-    if (typeof value === 'bigint') {
-        return value.toString();
+// Helper to read the toolbox version from its package.json, if the mod is installed in a toolbox
+function getToolboxVersion() {
+    try {
+        return require(path.join(__dirname, '..', '..', 'package.json')).version || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Fill in a watched packet template: {field.path}, {field?yes:no} and {$var} placeholders.
+// {field|filter} passes the value through one of the given filter functions, e.g. {source|entity}.
+function formatTemplate(template, event, vars, filters = {}) {
+    return template.replace(/\{([^{}?|]+)(?:\|(\w+))?(?:\?([^{}:]*):([^{}]*))?\}/g, (match, fieldPath, filter, ifTrue, ifFalse) => {
+        const value = fieldPath.startsWith('$') ? vars[fieldPath] : getField(event, fieldPath);
+        if (ifTrue !== undefined) {
+            return value ? ifTrue : ifFalse;
+        }
+        if (filter && filters[filter]) {
+            return filters[filter](value);
+        }
+        return `${value}`;
+    });
+}
+
+// Replacer function for report files: BigInts as strings and fractions rounded to two decimals,
+// full precision only makes the files harder to read
+function reportReplacer(key, value) {
+    if (typeof value === 'number' && !Number.isInteger(value)) {
+        return Math.round(value * 100) / 100;
     }
-    return value;
+    return bigIntReplacer(key, value);
 }
 
+// Settings bundled into a named filter preset
+const PRESET_SETTINGS = [
+    'packetFilters', 'fieldFilters', 'packetLimits', 'logFakePackets', 'logOnlyHookedPackets',
+    'logPktToGame', 'logPktToFile', 'logItemSkillToGame', 'logItemSkillToFile', 'logEquipmentToGame', 'logEquipmentToFile'
+];
+
+// Interval of the summaries of packets held back by the packet limits
+const SUPPRESSED_SUMMARY_SECONDS = 60;
+// How often idle logs are checked against logRotateIntervalMinutes
+const ROTATION_CHECK_SECONDS = 60;
+
 module.exports = function PacketLogger(mod) {
     const command = mod.require ? mod.require.command : mod.command; // Handle legacy/core mod loading
     let logStream = null;
@@ -37,6 +90,72 @@ module.exports = function PacketLogger(mod) {
         }
     }
     
+    // Resolves skill names from the client data
+    const skillNames = SkillNames(mod);
+
+    // Tracks the entities around the player, to show names next to gameIds
+    const entities = EntityRegistry({
+        resolveNpcName: (huntingZoneId, templateId) => {
+            if (typeof mod.queryData !== 'function') return null;
+            return mod.queryData('/StrSheet_Creature/HuntingZone@id=?/String@templateId=?/', [huntingZoneId, templateId])
+                .then(result => (result && result.attributes.name) || null);
+        }
+    });
+
+    // Template filters available to watched packets
+    const templateFilters = {
+        entity: gameId => entities.annotate(gameId)
+    };
+
+    // Helper function to get a skill name, falling back to a placeholder if the lookup fails
+    function getSkillName(skill, templateId, fallback) {
+        return skillNames.resolve(skill, templateId).then(name => name || fallback, e => {
+            mod.warn(`Failed to get skill name for ID ${skill.id}: ${e.message}`);
+            return fallback;
+        });
+    }
+    
+    // Helper function to create a getter for a compiled settings list, rebuilt whenever the list changes
+    function compiledSetting(settingName, compile) {
+        let compiled = null;
+        let compiledKey = null;
+        return () => {
+            const key = mod.settings[settingName].join('\n');
+            if (compiled === null || key !== compiledKey) {
+                compiled = compile(mod.settings[settingName]);
+                compiledKey = key;
+            }
+            return compiled;
+        };
+    }
+
+    const getPacketFilters = compiledSetting('packetFilters', filters => compileFilters(filters, e => mod.warn(`Ignoring packet filter: ${e.message}`)));
+    const getFieldFilters = compiledSetting('fieldFilters', filters => compileFieldFilters(filters, e => mod.warn(`Ignoring field filter: ${e.message}`)));
+    // The packet log and the item/skill/equipment chat output count towards their limits separately
+    const getPacketLimits = compiledSetting('packetLimits', limits => compilePacketLimits(limits, e => mod.warn(`Ignoring packet limit: ${e.message}`)));
+    const getChatLimits = compiledSetting('packetLimits', limits => compilePacketLimits(limits));
+
+    // Helper function to parse a raw packet with the latest known definition
+    function parsePacket(name, data) {
+        let event = null;
+        let version = null;
+
+        if (name !== 'UNKNOWN') {
+            try {
+                // Try to parse with the latest known definition
+                version = mod.dispatch.latestDefVersion.get(name);
+                if (version !== undefined) {
+                    event = mod.dispatch.fromRaw(name, version, data);
+                }
+            } catch (e) {
+                // Parsing failed, log raw data instead
+                event = null;
+                // mod.warn(`Failed to parse ${name}: ${e.message}`); // Optional: Log parsing errors
+            }
+        }
+        return { event, version };
+    }
+    
     // Helper function to register a packet as hooked
     function registerHookedPacket(name) {
         if (name && name !== '*') {
@@ -46,1166 +165,1447 @@ module.exports = function PacketLogger(mod) {
     }
     
     const logDir = path.join(__dirname, 'logs');
-    const logFileName = `packets_${Date.now()}.log`;
-    const logFilePath = path.join(logDir, logFileName);
-    
+    const sessionStart = Date.now();
     // Create a separate log file for item and skill usage
-    const itemSkillLogFileName = `item_skill_log_${Date.now()}.log`;
-    const itemSkillLogFilePath = path.join(logDir, itemSkillLogFileName);
     let itemSkillLogStream = null;
+    let skillTimelineLog = null;
+    let skillStatsLog = null;
+    let encounterLog = null;
+    let equipmentLog = null;
+    let logTasks = Promise.resolve();
+
+    // Helper function to get the current rotation limits from the settings
+    function getRotationLimits() {
+        return {
+            maxSizeMB: mod.settings.logRotateMaxSizeMB,
+            intervalMinutes: mod.settings.logRotateIntervalMinutes
+        };
+    }
+
+    // Helper function to run background log file maintenance (retention, compression) one task at a time,
+    // so e.g. a cleanup never deletes a file that is still being compressed
+    function queueLogTask(task, description) {
+        logTasks = logTasks.then(task).catch(e => {
+            mod.warn(`Failed to ${description}: ${e.message}`);
+        });
+    }
+
+    // Helper function to delete old log files according to the retention settings
+    function applyRetention() {
+        const limits = {
+            maxFiles: mod.settings.logRetentionMaxFiles,
+            maxTotalSizeMB: mod.settings.logRetentionMaxTotalSizeMB,
+            maxAgeDays: mod.settings.logRetentionMaxAgeDays
+        };
+        const activePaths = [logStream, itemSkillLogStream, skillTimelineLog, skillStatsLog, encounterLog, equipmentLog].filter(log => log && log.path).map(log => log.path);
+        activePaths.push(sessionIndexPath);
+
+        queueLogTask(() => enforceRetention(logDir, limits, activePaths).then(deleted => {
+            deleted.forEach(filePath => debugLog(`Deleted old log file: ${filePath}`));
+        }), 'apply log retention');
+    }
+
+    // Helper function to compress a closed log segment in the background if enabled
+    function compressClosedLog(filePath) {
+        if (!mod.settings.compressClosedLogs) {
+            return;
+        }
+        queueLogTask(() => compressLogFile(filePath).then(gzipPath => {
+            debugLog(`Compressed log file: ${gzipPath}`);
+        }), `compress log file ${filePath}`);
+    }
+
+    // --- Log Organisation ---
+    // Until the character is known, the logs are written to the logs directory. Once logged in, they continue in
+    // logs/<server>/<character>/<date>/ and the files written before login are moved there. A character switch (and,
+    // with splitLogsOnZoneChange, a zone change) starts new files. Every such part of the session is listed in the
+    // session index, logs/session_<sessionStart>.json.
+    const sessionIndexPath = path.join(logDir, `session_${sessionStart}.json`);
+    const sessionIndex = { session: sessionStart, startedAt: new Date(sessionStart).toISOString(), endedAt: null, parts: [] };
+    let logLocation = { dir: logDir, stamp: sessionStart };
+    let currentPart = null;
+    let currentCharacter = null; // { serverId, playerId, name } of the character the logs are written for
+    let currentZone = null;
+    let logsPlaced = false; // Whether the logs have been moved to a character directory
+    const closedBeforePlacement = new Set(); // Segments closed before the logs were placed
+    const pendingMoves = new Map(); // Segment that is still being closed -> directory to move it to
+
+    // Helper function to make a name safe to use as a directory name
+    function safeFileName(text) {
+        const safe = `${text}`.replace(/[<>:"/\\|?*\x00-\x1f]/g, '_').trim();
+        return safe.length > 0 && !/^\.+$/.test(safe) ? safe : '_';
+    }
+
+    // Helper function to get the directory of a character's logs for a day, e.g. logs/27/Name/2025-04-16
+    function getCharacterLogDir(character, time) {
+        const date = new Date(time);
+        const day = `${date.getFullYear()}-${`${date.getMonth() + 1}`.padStart(2, '0')}-${`${date.getDate()}`.padStart(2, '0')}`;
+        return path.join(logDir, safeFileName(character.serverId), safeFileName(character.name), day);
+    }
+
+    // Helper function to start a new part of the session index for the current location
+    function startLogPart(time) {
+        currentPart = {
+            startedAt: new Date(time).toISOString(),
+            endedAt: null,
+            server: currentCharacter ? currentCharacter.serverId : null,
+            character: currentCharacter ? currentCharacter.name : null,
+            zone: currentZone,
+            dir: path.relative(logDir, logLocation.dir),
+            files: []
+        };
+        sessionIndex.parts.push(currentPart);
+    }
+
+    // Helper function to add log segments to a part of the session index
+    function addPartFiles(part, filePaths) {
+        const files = new Set(part.files);
+        filePaths.forEach(filePath => files.add(path.relative(logDir, filePath)));
+        part.files = [...files];
+    }
+
+    // Helper function to write the session index in the background
+    function writeSessionIndex() {
+        const text = JSON.stringify(sessionIndex, null, 2);
+        queueLogTask(() => fs.promises.writeFile(sessionIndexPath, text), 'write the session index');
+    }
+
+    // Helper function to move a closed segment in the background, after it has been compressed if enabled
+    function queueLogMove(filePath, dir) {
+        queueLogTask(() => moveLogFile(filePath, dir).then(newPath => {
+            if (newPath) debugLog(`Moved log file: ${filePath} -> ${newPath}`);
+        }), `move log file ${filePath}`);
+    }
+
+    // Helper function to move a segment written before login to the character directory, once it is closed
+    function moveWhenClosed(filePath, dir) {
+        if (closedBeforePlacement.delete(filePath)) {
+            queueLogMove(filePath, dir);
+        } else {
+            pendingMoves.set(filePath, dir);
+        }
+    }
+
+    // Helper function to handle a closed segment: compress it, and move it if it was written before login
+    function handleClosedLog(filePath) {
+        compressClosedLog(filePath);
+        if (pendingMoves.has(filePath)) {
+            queueLogMove(filePath, pendingMoves.get(filePath));
+            pendingMoves.delete(filePath);
+        } else if (!logsPlaced) {
+            closedBeforePlacement.add(filePath);
+        }
+    }
+
+    // Helper function to create a rotating log file for this session at the current log location.
+    // Logs with a header get a HEADER record at the start of every segment.
+    function createLogFile(prefix, label, withHeader = false) {
+        return RotatingLogFile({
+            dir: logLocation.dir,
+            baseName: `${prefix}_${logLocation.stamp}`,
+            getHeader: withHeader ? () => createLogHeader(prefix) : null,
+            getLimits: getRotationLimits,
+            onRotate: (closedPath, newPath) => {
+                debugLog(`${label} log rotated: ${closedPath} -> ${newPath}`);
+                applyRetention();
+            },
+            onClose: handleClosedLog,
+            onError: e => mod.error(`${label} log write error: ${e.message}`)
+        });
+    }
+
+    // Helper function to create a log file for this session that is only created once the first line is written.
+    // Lines can also be promises of lines; they are written in the order they were passed in.
+    function createDeferredLogFile(prefix, label) {
+        let file = null;
+        let ended = false;
+        let writes = Promise.resolve();
+
+        return {
+            write(line) {
+                if (ended) return;
+                writes = writes.then(() => line).then(text => {
+                    if (!file) {
+                        file = createLogFile(prefix, label);
+                        mod.log(`${label} file created: ${file.path}`);
+                    }
+                    file.write(text);
+                }).catch(e => {
+                    mod.error(`Failed to write ${label} file: ${e.message}`);
+                });
+            },
+            // Continue at another location after the lines written so far; resolves to the segments written before
+            relocate(dir, baseName) {
+                const relocated = writes.then(() => (file ? file.relocate(dir, baseName) : [])).catch(e => {
+                    mod.error(`Failed to move ${label} file: ${e.message}`);
+                    return [];
+                });
+                writes = relocated;
+                return relocated;
+            },
+            // Roll over once the lines written so far are written, if the file reached a rotation limit
+            rotateIfDue() {
+                writes = writes.then(() => {
+                    if (file) file.rotateIfDue();
+                });
+            },
+            // Resolves once the last line has been written
+            end() {
+                ended = true;
+                writes = writes.then(() => {
+                    if (file) file.end();
+                });
+                return writes;
+            },
+            get path() { return file ? file.path : null; },
+            get segments() { return file ? file.segments : []; }
+        };
+    }
+
+    // Helper function to list the session's log files with the prefix of their file names
+    function getSessionLogs() {
+        return [
+            { log: logStream, prefix: 'packets' },
+            { log: itemSkillLogStream, prefix: 'item_skill_log' },
+            { log: skillTimelineLog, prefix: 'skill_timeline' },
+            { log: skillStatsLog, prefix: 'skill_stats' },
+            { log: encounterLog, prefix: 'encounters' },
+            { log: equipmentLog, prefix: 'equipment' }
+        ].filter(entry => entry.log);
+    }
+
+    // Helper function to continue all logs at a new location. With `move`, the segments written so far are moved
+    // along and stay in the current part. Resolves to the (new) paths of the segments written before.
+    function relocateLogs(location, move) {
+        logLocation = location;
+        const relocations = getSessionLogs().map(({ log, prefix }) => {
+            return Promise.resolve(log.relocate(location.dir, `${prefix}_${location.stamp}`)).then(previous => {
+                if (!move) return previous;
+                previous.forEach(filePath => moveWhenClosed(filePath, location.dir));
+                return previous.map(filePath => path.join(location.dir, path.basename(filePath)));
+            });
+        });
+        return Promise.all(relocations).then(lists => [].concat(...lists));
+    }
+
+    // Helper function to react to a login: place the logs written so far, or start new files for another character
+    function handleLogin(character) {
+        const sameCharacter = currentCharacter && currentCharacter.serverId === character.serverId && currentCharacter.playerId === character.playerId;
+        currentCharacter = character;
+        currentZone = null;
+        if (sameCharacter || !mod.settings.organizeLogs) {
+            return;
+        }
+
+        const time = Date.now();
+        const dir = getCharacterLogDir(character, time);
+        if (!logsPlaced) {
+            // The files written before login belong to this character; keep their names and move them
+            logsPlaced = true;
+            const part = currentPart;
+            Object.assign(part, { server: character.serverId, character: character.name, dir: path.relative(logDir, dir) });
+            relocateLogs({ dir, stamp: logLocation.stamp }, true).then(moved => {
+                addPartFiles(part, moved);
+                writeSessionIndex();
+            });
+            mod.log(`Logs moved to ${dir}`);
+            return;
+        }
+
+        splitLogs(dir, time);
+        mod.log(`Logs for ${character.name} continue in ${dir}`);
+    }
+
+    // Helper function to end the current part and continue with new files in `dir`
+    function splitLogs(dir, time) {
+        const part = currentPart;
+        part.endedAt = new Date(time).toISOString();
+        relocateLogs({ dir, stamp: time }, false).then(previous => {
+            addPartFiles(part, previous);
+            writeSessionIndex();
+        });
+        startLogPart(time);
+    }
+
+    // Helper function to react to a zone change, which starts new files if splitLogsOnZoneChange is enabled
+    function handleZoneChange(zone) {
+        const previousZone = currentZone;
+        currentZone = zone;
+        if (previousZone === null || previousZone === zone || !mod.settings.splitLogsOnZoneChange) {
+            // The first zone after login belongs to the part started by the login
+            if (currentPart.zone === null) currentPart.zone = zone;
+            return;
+        }
+
+        const time = Date.now();
+        splitLogs(logsPlaced ? getCharacterLogDir(currentCharacter, time) : logLocation.dir, time);
+    }
+
+    // Helper function to complete the session index when the mod is unloaded, once every log has been closed
+    function finishSessionIndex(closing) {
+        const part = currentPart;
+        const logs = getSessionLogs().map(entry => entry.log);
+        part.endedAt = sessionIndex.endedAt = new Date().toISOString();
+        Promise.all(closing).then(() => {
+            logs.forEach(log => addPartFiles(part, log.segments));
+            writeSessionIndex();
+        });
+    }
+
+    // --- Log Headers ---
+    // Every segment of the packet and item/skill logs starts with a HEADER record describing how it was written, and
+    // the last one ends with a FOOTER record with the session's counts. Both are JSON lines in any log format.
+    const toolboxVersion = getToolboxVersion();
+    const modVersion = `${require('./module.json').version || ''}`.replace(/<[^>]*>/g, '') || null;
+
+    // Packets seen by the packet hook in this session, unlike the packet statistics not affected by `pktstats reset`
+    const sessionTotals = { count: 0, bytes: 0, fakeCount: 0 };
+
+    // Helper function to build the header line of a log segment
+    function createLogHeader(log) {
+        // Definition versions used to parse the hooked packets; the text format doesn't record them per packet
+        const definitions = {};
+        [...hookedPackets].sort().forEach(name => {
+            const version = mod.dispatch.latestDefVersion.get(name);
+            if (version !== undefined) definitions[name] = version;
+        });
+        const { filterPresets, ...settings } = mod.settings;
+
+        return JSON.stringify({
+            timestamp: new Date().toISOString(),
+            marker: 'HEADER',
+            name: 'SESSION',
+            log,
+            session: sessionStart,
+            sessionStartedAt: new Date(sessionStart).toISOString(),
+            protocolVersion: mod.dispatch.protocolVersion !== undefined ? mod.dispatch.protocolVersion : null,
+            patchVersion: mod.majorPatchVersion !== undefined ? `${mod.majorPatchVersion}.${mod.minorPatchVersion}` : null,
+            region: mod.region || null,
+            toolboxVersion,
+            modVersion,
+            character: currentCharacter,
+            zone: currentZone,
+            definitions,
+            settings
+        }, bigIntReplacer) + '\n';
+    }
+
+    // Helper function to end a log with a footer line when the mod is unloaded. `extra` is added to the footer.
+    function writeLogFooter(file, log, extra = {}) {
+        const endedAt = Date.now();
+        file.write(JSON.stringify({
+            timestamp: new Date(endedAt).toISOString(),
+            marker: 'FOOTER',
+            name: 'SESSION',
+            log,
+            session: sessionStart,
+            duration: (endedAt - sessionStart) / 1000,
+            lines: file.lines,
+            packets: Object.assign({}, sessionTotals),
+            blocked: [...blockedCounts.values()].reduce((sum, count) => sum + count, 0),
+            ...extra
+        }) + '\n');
+    }
 
     // --- Initialization ---
+    // When the mod is loaded in game, the character is already known
+    if (mod.settings.organizeLogs && mod.game.isIngame && mod.game.me && mod.game.me.name) {
+        currentCharacter = { serverId: mod.game.me.serverId, playerId: mod.game.me.playerId, name: mod.game.me.name };
+        logLocation = { dir: getCharacterLogDir(currentCharacter, sessionStart), stamp: sessionStart };
+        logsPlaced = true;
+    }
+    startLogPart(sessionStart);
+
     try {
-        ensureDirectoryExistence(logFilePath);
-        logStream = fs.createWriteStream(logFilePath, { flags: 'a' }); // Append mode
-        itemSkillLogStream = fs.createWriteStream(itemSkillLogFilePath, { flags: 'a' }); // Append mode
-        mod.log(`Packet log file created: ${logFilePath}`);
-        mod.log(`Item/Skill log file created: ${itemSkillLogFilePath}`);
+        ensureDirectoryExistence(path.join(logLocation.dir, `packets_${sessionStart}.log`));
+        // Packets are queued and written in batches, so the packet hook never waits for the disk
+        logStream = BatchedLogFile(createLogFile('packets', 'Packet', true), {
+            getLimits: () => ({
+                maxRecords: mod.settings.logQueueMaxRecords,
+                batchSize: mod.settings.logQueueBatchSize,
+                overflow: mod.settings.logQueueOverflow
+            }),
+            formatDropped: (count, overflow) => JSON.stringify({ timestamp: new Date().toISOString(), marker: 'DROPPED', name: 'QUEUE', count, overflow }) + '\n',
+            onError: e => mod.error(`Failed to format a packet log record: ${e.message}`)
+        });
+        itemSkillLogStream = createLogFile('item_skill_log', 'Item/Skill', true);
+        skillTimelineLog = createDeferredLogFile('skill_timeline', 'Skill timeline');
+        skillStatsLog = createDeferredLogFile('skill_stats', 'Skill statistics');
+        encounterLog = createDeferredLogFile('encounters', 'Encounter index');
+        equipmentLog = createDeferredLogFile('equipment', 'Equipment snapshot');
+        mod.log(`Packet log file created: ${logStream.path}`);
+        mod.log(`Item/Skill log file created: ${itemSkillLogStream.path}`);
+        writeSessionIndex();
+        applyRetention();
     } catch (e) {
         mod.error('Failed to create log directory or file stream.');
         mod.error(e);
         // Mod can continue, but file logging will be disabled
     }
 
-    // --- Packet Hook ---
-    mod.hook('*', 'raw', { order: 10000 }, (code, data, incoming, fake) => { // Use high order to run after most other mods
+    // Helper function to check whether a packet passes the fake, hooked-only and packet filters
+    function passesPacketFilters(name, code, incoming, fake) {
         // Skip fake packets if logFakePackets is false
-        if (fake && !mod.settings.logFakePackets) return;
-
-        const timestamp = new Date().toISOString();
-        const direction = incoming ? 'S->C' : 'C->S';
-        const name = mod.dispatch.protocolMap.code.get(code) || 'UNKNOWN';
+        if (fake && !mod.settings.logFakePackets) return false;
 
         // Check if we should only log hooked packets and if this packet is hooked
         if (mod.settings.logOnlyHookedPackets && name !== 'UNKNOWN') {
             const nameUpper = name.toUpperCase();
             if (!hookedPackets.has(nameUpper)) {
-                return; // Skip logging if we're only logging hooked packets and this one isn't hooked
+                return false; // Skip logging if we're only logging hooked packets and this one isn't hooked
             }
         }
 
         // Apply filters
-        if (mod.settings.packetFilters.length > 0) {
-            // Check if any filter matches
-            const nameUpper = name.toUpperCase();
-            const matchesFilter = mod.settings.packetFilters.some(filter => nameUpper.includes(filter));
-            if (!matchesFilter) {
-                return; // Skip logging if filters are active and none match
+        return getPacketFilters().matches({ name, code, incoming, fake });
+    }
+
+    // Helper function to queue a packet or marker record for the packet log. `record` can also be a function
+    // returning the record (or null to skip it), which is only called if the record is not dropped from the queue.
+    function writePacketRecord(record) {
+        logStream.write(() => {
+            const resolved = typeof record === 'function' ? record() : record;
+            return resolved ? formatPacketRecord(resolved, mod.settings.packetLogFormat) + '\n' : null;
+        });
+    }
+
+    // --- Modification Capture ---
+    // A low order hook captures each packet before other mods see it, so the packet hook can tell what they changed.
+    // Packets are dispatched synchronously, but a mod may send another packet from within its hook, so captures
+    // are kept on a stack and matched by opcode and direction.
+    const CAPTURE_ORDER = -1000000;
+    const LOG_ORDER = 10000;
+    const pendingCaptures = [];
+
+    // Number of blocked packets per packet name in this session
+    const blockedCounts = new Map();
+
+    // Helper function to report a captured packet that some mod blocked before it reached the packet hook
+    function reportBlockedPacket(capture) {
+        const count = (blockedCounts.get(capture.name) || 0) + 1;
+        blockedCounts.set(capture.name, count);
+
+        const direction = capture.incoming ? 'S->C' : 'C->S';
+        const fakePrefix = capture.fake ? '[FAKE] ' : '';
+        const mods = getModsBetweenCaptures(capture.code);
+
+        if (mod.settings.logPktToGame && getPacketFilters().hasIncludes) {
+            command.message(`[BLOCKED] ${fakePrefix}${direction} | ${capture.name} (${capture.code})${mods.length > 0 ? ` by one of ${mods.join(', ')}` : ''}`);
+        }
+
+        if (mod.settings.logPktToFile && logStream) {
+            writePacketRecord(() => {
+                const details = { count, mods };
+                const parsed = parsePacket(capture.name, capture.data);
+                if (parsed.event) {
+                    details.version = parsed.version;
+                    details.payload = parsed.event;
+                } else {
+                    details.raw = capture.data.toString('hex');
+                }
+                return { timestamp: capture.timestamp, marker: 'BLOCKED', direction, code: capture.code, name: capture.name, fake: capture.fake, details };
+            });
+        }
+    }
+
+    // Helper function to drop a capture once its packet has been fully dispatched
+    function releaseCapture(capture) {
+        if (capture.taken) {
+            return;
+        }
+
+        // The packet never reached the packet hook, so a mod blocked it
+        const index = pendingCaptures.indexOf(capture);
+        if (index !== -1) {
+            pendingCaptures.splice(index, 1);
+        }
+        if (mod.settings.logBlockedPackets) {
+            reportBlockedPacket(capture);
+        }
+    }
+
+    // Fake packets are captured as well, like the packet hook sees them, so packets injected by mods are checked too
+    mod.hook('*', 'raw', { order: CAPTURE_ORDER, filter: { fake: null } }, (code, data, incoming, fake) => {
+        const captureModified = mod.settings.logModifiedPackets && mod.settings.logPktToFile;
+        if (!captureModified && !mod.settings.logBlockedPackets) return;
+
+        const name = mod.dispatch.protocolMap.code.get(code) || 'UNKNOWN';
+        if (!passesPacketFilters(name, code, incoming, fake)) return;
+
+        const capture = { timestamp: new Date().toISOString(), code, name, incoming, fake, data: Buffer.from(data), taken: false };
+        pendingCaptures.push(capture);
+        // Dispatch is synchronous, so by the next microtask the packet has passed (or been blocked by) every hook
+        Promise.resolve().then(() => releaseCapture(capture));
+    });
+
+    // Helper function to take the capture of the packet currently being logged off the stack
+    function takeCapture(code, incoming) {
+        for (let i = pendingCaptures.length - 1; i >= 0; i--) {
+            if (pendingCaptures[i].code === code && pendingCaptures[i].incoming === incoming) {
+                const capture = pendingCaptures.splice(i, 1)[0];
+                capture.taken = true;
+                return capture;
+            }
+        }
+        return null;
+    }
+
+    // Helper function to list the other mods with hooks for a packet between the capture and the packet hook
+    function getModsBetweenCaptures(code) {
+        const mods = new Set();
+        const hooks = mod.dispatch.hooks;
+        if (!(hooks instanceof Map)) {
+            return [];
+        }
+
+        for (const key of [code, '*']) {
+            for (const item of (hooks.get(key) || [])) {
+                // Hooks are stored either directly or in groups of hooks with the same order
+                for (const hook of (Array.isArray(item.hooks) ? item.hooks : [item])) {
+                    const order = hook.order !== undefined ? hook.order : item.order;
+                    if (order > CAPTURE_ORDER && order < LOG_ORDER && hook.moduleName && hook.moduleName !== mod.name) {
+                        mods.add(hook.moduleName);
+                    }
+                }
+            }
+        }
+        return [...mods];
+    }
+
+    // Helper function to describe how other mods changed a packet, or null if nothing meaningful changed
+    function describeModification(name, before, after, parsedAfter) {
+        const parsedBefore = parsePacket(name, before);
+        if (parsedBefore.event && parsedAfter.event) {
+            // Packets re-serialized by a hook may differ in bytes without any field changing
+            const changes = diffFields(parsedBefore.event, parsedAfter.event);
+            return changes.length > 0 ? { diffType: 'fields', changes } : null;
+        }
+        return { diffType: 'bytes', lengthBefore: before.length, lengthAfter: after.length, changes: diffBytes(before, after) };
+    }
+
+    // --- Packet Statistics ---
+    const packetStats = PacketStats();
+
+    // Helper function to format a byte count for chat
+    function formatBytes(bytes) {
+        if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${Math.round(bytes)} B`;
+    }
+
+    // Helper function to write the session's packet statistics next to the log files
+    function writePacketStats() {
+        const packets = packetStats.top();
+        if (packets.length === 0 || !mod.settings.logPktToFile) return;
+
+        // Next to the logs of the current character, and listed with them in the session index
+        const statsPath = path.join(logLocation.dir, `packet_stats_${sessionStart}.json`);
+        const stats = {
+            startedAt: new Date(packetStats.startedAt).toISOString(),
+            endedAt: new Date().toISOString(),
+            totals: packetStats.totals(),
+            packets
+        };
+        try {
+            ensureDirectoryExistence(statsPath);
+            fs.writeFileSync(statsPath, JSON.stringify(stats, reportReplacer, 2));
+            addPartFiles(currentPart, [statsPath]);
+            mod.log(`Packet statistics written to ${statsPath}`);
+        } catch (e) {
+            mod.error(`Failed to write packet statistics: ${e.message}`);
+        }
+    }
+
+    // --- Packet Limits ---
+    // Packets held back by the packetLimits rules are counted per packet name, and summed up every
+    // SUPPRESSED_SUMMARY_SECONDS in a SUPPRESSED record of the packet log and in chat, so nothing disappears silently.
+    let suppressedPackets = new Map(); // Packet name -> packets not logged since the last summary
+    let suppressedChat = new Map(); // Packet name -> chat messages not shown since the last summary
+    let suppressedSince = Date.now();
+    const suppressedTotals = { packets: 0, chat: 0 };
+
+    // Helper function to count a suppressed packet
+    function countSuppressed(counts, name) {
+        counts.set(name, (counts.get(name) || 0) + 1);
+    }
+
+    // Helper function to add up suppressed counts
+    function sumCounts(counts) {
+        return [...counts.values()].reduce((sum, count) => sum + count, 0);
+    }
+
+    // Helper function to describe suppressed counts for chat, e.g. "1200 packets (S_NPC_LOCATION 1000, S_USER_LOCATION 200)"
+    function describeSuppressed(counts, total, noun) {
+        const top = [...counts].sort((a, b) => b[1] - a[1]).slice(0, 3).map(([name, count]) => `${name} ${count}`);
+        return `${total} ${noun} (${top.join(', ')}${counts.size > 3 ? ', ...' : ''})`;
+    }
+
+    // Helper function to report what the packet limits held back since the last summary
+    function reportSuppressed() {
+        const packets = suppressedPackets;
+        const chat = suppressedChat;
+        const seconds = Math.round((Date.now() - suppressedSince) / 1000);
+        suppressedPackets = new Map();
+        suppressedChat = new Map();
+        suppressedSince = Date.now();
+
+        const packetTotal = sumCounts(packets);
+        const chatTotal = sumCounts(chat);
+        suppressedTotals.packets += packetTotal;
+        suppressedTotals.chat += chatTotal;
+        if (packetTotal === 0 && chatTotal === 0) {
+            return;
+        }
+
+        if (packetTotal > 0 && mod.settings.logPktToFile && logStream) {
+            logStream.write(JSON.stringify({
+                timestamp: new Date().toISOString(),
+                marker: 'SUPPRESSED',
+                name: 'LIMITS',
+                count: packetTotal,
+                seconds,
+                packets: Object.fromEntries(packets)
+            }) + '\n');
+        }
+
+        // Only mention the packet log in chat if its packets are shown there
+        const parts = [];
+        if (packetTotal > 0 && mod.settings.logPktToGame && getPacketFilters().hasIncludes) {
+            parts.push(describeSuppressed(packets, packetTotal, 'packets'));
+        }
+        if (chatTotal > 0) {
+            parts.push(describeSuppressed(chat, chatTotal, 'chat messages'));
+        }
+        if (parts.length > 0) {
+            command.message(`Packet limits held back ${parts.join(' and ')} in the last ${seconds}s.`);
+        }
+    }
+
+    const suppressedTimer = setInterval(reportSuppressed, SUPPRESSED_SUMMARY_SECONDS * 1000);
+
+    // Logs only check their rotation limits when written to, so a log nothing is written to would never roll over by time
+    const rotationTimer = setInterval(() => {
+        getSessionLogs().forEach(({ log }) => log.rotateIfDue());
+    }, ROTATION_CHECK_SECONDS * 1000);
+
+    // --- Packet Hook ---
+    // Use high order to run after most other mods. Fake packets are hooked too, so the statistics count them and the
+    // fake: filters can match them; blocked packets are left to the capture hook, which tells them apart.
+    mod.hook('*', 'raw', { order: LOG_ORDER, filter: { fake: null } }, (code, data, incoming, fake) => {
+        const capture = takeCapture(code, incoming);
+
+        const timestamp = new Date().toISOString();
+        const direction = incoming ? 'S->C' : 'C->S';
+        const name = mod.dispatch.protocolMap.code.get(code) || 'UNKNOWN';
+
+        // Statistics cover every packet, not only the logged ones
+        packetStats.record(name, code, incoming, fake, data.length);
+        sessionTotals.count++;
+        sessionTotals.bytes += data.length;
+        if (fake) sessionTotals.fakeCount++;
+
+        if (!passesPacketFilters(name, code, incoming, fake)) {
+            return; // Skip logging if the packet is filtered out
+        }
+        const packetFilters = getPacketFilters();
+
+        // Apply payload field filters, parsing the packet only if a predicate could apply to it
+        let parsed = null;
+        const fieldFilters = getFieldFilters();
+        if (fieldFilters.appliesTo(name)) {
+            parsed = parsePacket(name, data);
+            if (!fieldFilters.matches(name, parsed.event || {})) {
+                return; // Skip logging if the payload doesn't match
             }
         }
 
+        // Apply the rate limits and sampling, to the file and the chat output alike
+        if (!getPacketLimits().allow(name, incoming)) {
+            countSuppressed(suppressedPackets, name);
+            return;
+        }
+
         // Add [FAKE] prefix if logging fake packets
         const fakePrefix = fake ? '[FAKE] ' : '';
 
         // 1. In-Game Logging - Only log to game if explicitly requested with pktloggame command
-        // and only if there are specific filters set (to avoid flooding chat with all packets)
-        if (mod.settings.logPktToGame && mod.settings.packetFilters.length > 0) {
+        // and only if there are specific include filters set (to avoid flooding chat with all packets)
+        if (mod.settings.logPktToGame && packetFilters.hasIncludes) {
             command.message(`${fakePrefix}${direction} | ${name} (${code})`);
         }
 
         // 2. File Logging
         if (mod.settings.logPktToFile && logStream) {
-            let logLine = `${timestamp} | ${fakePrefix}${direction} | ${code} | ${name}`;
-            let event = null;
+            // The packet is only parsed once its record is written, so packets dropped from the queue cost no parsing
+            const packetData = Buffer.from(data);
+            const getParsed = () => parsed || (parsed = parsePacket(name, packetData));
 
-            if (name !== 'UNKNOWN') {
-                try {
-                    // Try to parse with the latest known definition
-                    const latestVersion = mod.dispatch.latestDefVersion.get(name);
-                    if (latestVersion !== undefined) {
-                        event = mod.dispatch.fromRaw(name, latestVersion, data);
+            writePacketRecord(() => {
+                const { version, event } = getParsed();
+                return { timestamp, direction, code, name, fake, version, event, data: packetData };
+            });
+
+            // 3. Modifications by other mods
+            if (capture && mod.settings.logModifiedPackets && !capture.data.equals(data)) {
+                const mods = getModsBetweenCaptures(code);
+                writePacketRecord(() => {
+                    const modification = describeModification(name, capture.data, packetData, getParsed());
+                    if (!modification) return null;
+
+                    if (mod.settings.logPktToGame && packetFilters.hasIncludes) {
+                        command.message(`[MODIFIED] ${fakePrefix}${direction} | ${name} (${code})${mods.length > 0 ? ` by ${mods.join(', ')}` : ''}`);
                     }
-                } catch (e) {
-                    // Parsing failed, log raw data instead
-                    event = null;
-                    // mod.warn(`Failed to parse ${name} (${code}): ${e.message}`); // Optional: Log parsing errors
-                }
+                    return { timestamp, marker: 'MODIFIED', direction, code, name, fake, details: Object.assign({ mods }, modification) };
+                });
             }
+        }
+    });
 
-            if (event) {
-                // Safely stringify, handling potential circular references or large objects and BigInts
-                try {
-                    logLine += ` | ${JSON.stringify(event, bigIntReplacer)}`;
-                } catch (stringifyError) {
-                     logLine += ` | PARSED (Stringify Error: ${stringifyError.message})`;
+    // --- Item, Skill and Equipment Hooks ---
+
+    // Output toggles for each watched packet category
+    const categoryOutputs = {
+        itemSkill: { game: 'logItemSkillToGame', file: 'logItemSkillToFile' },
+        equipment: { game: 'logEquipmentToGame', file: 'logEquipmentToFile' }
+    };
+
+    // Helper function to get an item name from the game data
+    function getItemName(itemId, fallback) {
+        try {
+            // Try to get item data from game state
+            if (mod.game.data && mod.game.data.items) {
+                const item = mod.game.data.items.get(itemId);
+                if (item && item.name) {
+                    return item.name;
                 }
-            } else {
-                logLine += ` | RAW: ${data.toString('hex')}`;
             }
+        } catch (e) {
+            mod.warn(`Failed to get item name for ID ${itemId}: ${e.message}`);
+        }
+        return fallback;
+    }
+
+    // Helper function to build the template variables ($name, $id, $baseId) for a watched packet event
+    function resolveTemplateVars(entry, event) {
+        const vars = {};
+        if (!entry.nameType) {
+            return Promise.resolve(vars);
+        }
+
+        const idValue = getField(event, entry.idField);
+        if (entry.nameType === 'skill') {
+            // Parse skill ID to get base skill
+            vars.$id = idValue && typeof idValue === 'object' ? idValue.id : idValue;
+            vars.$baseId = Math.floor((vars.$id - 0x4000000) / 10000);
 
-            logStream.write(logLine + '\n');
+            const skill = idValue && typeof idValue === 'object' ? idValue : { id: idValue };
+            const casterTemplateId = entry.casterField ? getField(event, entry.casterField) : mod.game.me.templateId;
+            return getSkillName(skill, casterTemplateId, formatTemplate(entry.fallbackName || 'Unknown Skill', event, vars)).then(name => {
+                vars.$name = name;
+                return vars;
+            });
         }
+
+        vars.$id = idValue;
+        vars.$name = getItemName(idValue, formatTemplate(entry.fallbackName || 'Unknown Item', event, vars));
+        return Promise.resolve(vars);
+    }
+
+    // Collapses repeated item/skill/equipment messages and keeps them within the chat budget
+    const chatThrottle = ChatThrottle({
+        send: text => command.message(text),
+        getLimits: () => ({
+            maxPerSecond: mod.settings.chatMaxMessagesPerSecond,
+            aggregateSeconds: mod.settings.chatAggregateSeconds
+        })
     });
-    // Item Usage
-    // Register and hook C_USE_ITEM
-    registerHookedPacket('C_USE_ITEM');
-    mod.hook('C_USE_ITEM', 3, { order: 1000, filter: { fake: null } }, event => {
-        // Log that we received an item use packet for debugging
+
+    // Helper function to check whether the local player caused a watched packet's event.
+    // Entries without an actor field (e.g. client packets) are always the player's own.
+    function isOwnEvent(entry, event) {
+        if (!entry.actorField) return true;
+        const fields = Array.isArray(entry.actorField) ? entry.actorField : [entry.actorField];
+        return fields.some(field => mod.game.me.is(getField(event, field)));
+    }
+
+    // Item/skill log lines and chat messages are output in the order their packets arrived, even if the name lookup
+    // of an earlier packet takes longer. The lookups themselves still run side by side.
+    let itemSkillOutput = Promise.resolve();
+
+    // Helper function to run an output step once everything queued before it is out, and `pending` has resolved
+    function queueItemSkillOutput(pending, output) {
+        itemSkillOutput = itemSkillOutput.then(() => pending).then(output).catch(e => {
+            mod.error(`Failed to write item/skill output: ${e.message}`);
+        });
+        return itemSkillOutput;
+    }
+
+    // Generic handler shared by every watched packet
+    function handleWatchedPacket(entry, event) {
         const fakeStatus = event.fake ? 'FAKE' : 'REAL';
-        debugLog(`Received ${fakeStatus} C_USE_ITEM packet: ${JSON.stringify(event, bigIntReplacer)}`);
-    
-        
-        if (mod.settings.logItemSkillToGame || mod.settings.logItemSkillToFile) {
-            // Get item name if possible
-            let itemName = "Unknown Item";
-            try {
-                // Try to get item data from game state
-                if (mod.game.data && mod.game.data.items) {
-                    const item = mod.game.data.items.get(event.id);
-                    if (item && item.name) {
-                        itemName = item.name;
-                    }
-                }
-            } catch (e) {
-                mod.warn(`Failed to get item name for ID ${event.id}: ${e.message}`);
-            }
+        debugLog(`Received ${fakeStatus} ${entry.name} packet: ${JSON.stringify(event, bigIntReplacer)}`);
+
+        // Apply payload field filters
+        if (!getFieldFilters().matches(entry.name, event)) {
+            return;
+        }
+
+        const outputs = categoryOutputs[entry.category];
+        let logToGame = mod.settings[outputs.game] && !!entry.chat && (!mod.settings.chatSelfOnly || isOwnEvent(entry, event));
+        const logToFile = mod.settings[outputs.file];
+
+        // The packet limits only apply to the chat output, the item/skill and equipment log files stay complete
+        if (logToGame && !getChatLimits().allow(entry.name, entry.name.startsWith('S_'))) {
+            countSuppressed(suppressedChat, entry.name);
+            logToGame = false;
+        }
+        if (!logToGame && !logToFile) {
+            return;
+        }
 
+        const timestamp = new Date().toISOString();
+        // Tag the line with the encounter the packet belongs to, before the name lookup delays it
+        const encounterTag = mod.settings.logEncounters && encounters.currentId !== null ? ` | Encounter: ${encounters.currentId}` : '';
+        queueItemSkillOutput(resolveTemplateVars(entry, event), vars => {
             // Log to game chat
-            if (mod.settings.logItemSkillToGame) {
+            if (logToGame) {
                 try {
-                    debugLog(`Attempting to log ${fakeStatus} item to chat: ${itemName} (ID: ${event.id})`);
-                    command.message(`${fakeStatus} C_USE_ITEM: ${itemName} (ID: ${event.id}, GameID: ${event.gameId}, DBID: ${event.dbid})`);
-                    debugLog('Successfully logged item to chat');
+                    chatThrottle.message(`${fakeStatus} ${entry.name}: ${formatTemplate(entry.chat, event, vars, templateFilters)}`);
                 } catch (e) {
-                    mod.error(`Failed to log item to chat: ${e.message}`);
+                    mod.error(`Failed to log ${entry.name} to chat: ${e.message}`);
                 }
             }
-            
+
             // Log to file
-            if (mod.settings.logItemSkillToFile && itemSkillLogStream) {
-                const timestamp = new Date().toISOString();
-                itemSkillLogStream.write(`${timestamp} | C_USE_ITEM | ID: ${event.id} | Name: ${itemName} | GameID: ${event.gameId} | DBID: ${event.dbid}\n`);
+            if (logToFile && entry.file && itemSkillLogStream) {
+                itemSkillLogStream.write(`${timestamp} | ${entry.name} | ${formatTemplate(entry.file, event, vars, templateFilters)}${encounterTag}\n`);
             }
+        });
+    }
+
+    // Helper function to merge the built-in watched packets with user-defined ones from the settings
+    function getWatchedPackets() {
+        const entries = new Map(WatchedPackets.map(entry => [entry.name, entry]));
+
+        for (const entry of (mod.settings.watchedPackets || [])) {
+            if (!entry || typeof entry.name !== 'string' || (entry.version !== undefined && !Number.isInteger(entry.version)) || !categoryOutputs[entry.category]) {
+                mod.warn(`Ignoring invalid watched packet entry: ${JSON.stringify(entry)}`);
+                continue;
+            }
+            // User entries replace built-in entries of the same packet
+            entries.set(entry.name, entry);
         }
-        return true;
-    });
+        return [...entries.values()];
+    }
 
-    // Skill Usage - Use high order to ensure it runs after other mods
-    // Register and hook C_START_SKILL
-    registerHookedPacket('C_START_SKILL');
-    mod.hook('C_START_SKILL', 7, { order: 1000, filter: { fake: null } }, event => {
-        // Log that we received a skill packet for debugging
-        const fakeStatus = event.fake ? 'FAKE' : 'REAL';
-        debugLog(`Received ${fakeStatus} C_START_SKILL packet: ${JSON.stringify(event, bigIntReplacer)}`);
-        
-        if (mod.settings.logItemSkillToGame || mod.settings.logItemSkillToFile) {
-            // Parse skill ID to get base skill
-            const skillId = event.skill.id;
-            const skillBaseId = Math.floor((skillId - 0x4000000) / 10000);
-            
-            // Get skill name if possible
-            let skillName = "Unknown Skill";
+    // --- Hook Versions ---
+    // Named hooks are made with the latest definition of their packet, falling back to the versions the code was
+    // written for. What every hook ended up with is kept for the pkthooks command.
+    const hookStatus = new Map(); // Packet name -> [{ purpose, version, failures }]
+
+    // Helper function to list the definition versions to try for a packet: the latest one first, then the fallbacks
+    function getHookVersions(name, fallbacks) {
+        const latest = mod.dispatch.latestDefVersion.get(name);
+        return [...new Set([latest, ...fallbacks])].filter(version => Number.isInteger(version));
+    }
+
+    // Helper function to hook a packet with the first definition version that works.
+    // Returns the version that was hooked, or null if none could be (the reasons are logged and shown by pkthooks).
+    function hookPacket(name, fallbacks, options, callback, purpose) {
+        const failures = [];
+        for (const version of getHookVersions(name, fallbacks)) {
             try {
-                // Try to get skill name from system message
-                // This is a simplified approach - in a full implementation, you might want to 
-                // query skill data from the game client or use a predefined mapping
-                skillName = `Skill ${skillBaseId}`;
+                mod.hook(name, version, options, callback);
             } catch (e) {
-                mod.warn(`Failed to get skill name for ID ${skillId}: ${e.message}`);
+                failures.push(`v${version}: ${e.message}`);
+                continue;
             }
 
-            // Log to game chat
-            if (mod.settings.logItemSkillToGame) {
-                try {
-                    debugLog(`Attempting to log ${fakeStatus} skill to chat: ${skillName} (ID: ${skillId})`);
-                    command.message(`${fakeStatus} C_START_SKILL: ${skillName} (ID: ${skillId})`);
-                    debugLog('Successfully logged skill to chat');
-                } catch (e) {
-                    mod.error(`Failed to log skill to chat: ${e.message}`);
-                }
-            }
-            
-            // Log to file
-            if (mod.settings.logItemSkillToFile && itemSkillLogStream) {
-                const timestamp = new Date().toISOString();
-                itemSkillLogStream.write(`${timestamp} | C_START_SKILL | ID: ${skillId} | Base ID: ${skillBaseId} | Name: ${skillName}\n`);
+            if (failures.length > 0) {
+                debugLog(`Hooked ${name} v${version} for ${purpose} after ${failures.join('; ')}`);
             }
+            hookStatus.set(name, (hookStatus.get(name) || []).concat({ purpose, version, failures }));
+            return version;
         }
-        return true;
-    });
-    
-    // Additional Skill Usage Hook - for press-type skills
-    // Register and hook C_PRESS_SKILL
-    registerHookedPacket('C_PRESS_SKILL');
-    mod.hook('C_PRESS_SKILL', 4, { order: 1000, filter: { fake: null } }, event => {
-        // Log that we received a press skill packet for debugging
-        const fakeStatus = event.fake ? 'FAKE' : 'REAL';
-        debugLog(`Received ${fakeStatus} C_PRESS_SKILL packet: ${JSON.stringify(event, bigIntReplacer)}`);
-        
-        if (mod.settings.logItemSkillToGame || mod.settings.logItemSkillToFile) {
-            // Parse skill ID to get base skill
-            const skillId = event.skill.id;
-            const skillBaseId = Math.floor((skillId - 0x4000000) / 10000);
-            
-            // Get skill name if possible
-            let skillName = "Unknown Press Skill";
-            try {
-                skillName = `Press Skill ${skillBaseId}`;
-            } catch (e) {
-                mod.warn(`Failed to get skill name for ID ${skillId}: ${e.message}`);
-            }
 
-            // Log to game chat
-            if (mod.settings.logItemSkillToGame) {
-                try {
-                    debugLog(`Attempting to log ${fakeStatus} press skill to chat: ${skillName} (ID: ${skillId})`);
-                    command.message(`${fakeStatus} C_PRESS_SKILL: ${skillName} (ID: ${skillId})`);
-                    debugLog('Successfully logged press skill to chat');
-                } catch (e) {
-                    mod.error(`Failed to log press skill to chat: ${e.message}`);
-                }
-            }
-            
-            // Log to file
-            if (mod.settings.logItemSkillToFile && itemSkillLogStream) {
-                const timestamp = new Date().toISOString();
-                itemSkillLogStream.write(`${timestamp} | C_PRESS_SKILL | ID: ${skillId} | Base ID: ${skillBaseId} | Name: ${skillName}\n`);
-            }
+        if (failures.length === 0) {
+            failures.push('no definition available');
         }
-        return true;
-    });
-    
-    // Additional Skill Usage Hook - for targeted skills
-    // Register and hook C_START_TARGETED_SKILL
-    registerHookedPacket('C_START_TARGETED_SKILL');
-    mod.hook('C_START_TARGETED_SKILL', 7, { order: 1000, filter: { fake: null } }, event => {
-        // Log that we received a targeted skill packet for debugging
-        const fakeStatus = event.fake ? 'FAKE' : 'REAL';
-        debugLog(`Received ${fakeStatus} C_START_TARGETED_SKILL packet: ${JSON.stringify(event, bigIntReplacer)}`);
-        
-        if (mod.settings.logItemSkillToGame || mod.settings.logItemSkillToFile) {
-            // Parse skill ID to get base skill
-            const skillId = event.skill.id;
-            const skillBaseId = Math.floor((skillId - 0x4000000) / 10000);
-            
-            // Get skill name if possible
-            let skillName = "Unknown Targeted Skill";
-            try {
-                skillName = `Targeted Skill ${skillBaseId}`;
-            } catch (e) {
-                mod.warn(`Failed to get skill name for ID ${skillId}: ${e.message}`);
-            }
+        hookStatus.set(name, (hookStatus.get(name) || []).concat({ purpose, version: null, failures }));
+        mod.warn(`Could not hook ${name} for ${purpose}: ${failures.join('; ')}`);
+        return null;
+    }
 
-            // Log to game chat
-            if (mod.settings.logItemSkillToGame) {
-                try {
-                    debugLog(`Attempting to log ${fakeStatus} targeted skill to chat: ${skillName} (ID: ${skillId})`);
-                    command.message(`${fakeStatus} C_START_TARGETED_SKILL: ${skillName} (ID: ${skillId})`);
-                    debugLog('Successfully logged targeted skill to chat');
-                } catch (e) {
-                    mod.error(`Failed to log targeted skill to chat: ${e.message}`);
-                }
-            }
-            
-            // Log to file
-            if (mod.settings.logItemSkillToFile && itemSkillLogStream) {
-                const timestamp = new Date().toISOString();
-                itemSkillLogStream.write(`${timestamp} | C_START_TARGETED_SKILL | ID: ${skillId} | Base ID: ${skillBaseId} | Name: ${skillName}\n`);
-            }
-        }
-        return true;
-    });
-    
-    // Additional Skill Usage Hook - for combo instant skills
-    // Register and hook C_START_COMBO_INSTANT_SKILL
-    registerHookedPacket('C_START_COMBO_INSTANT_SKILL');
-    mod.hook('C_START_COMBO_INSTANT_SKILL', 6, { order: 1000, filter: { fake: null } }, event => {
-        // Log that we received a combo instant skill packet for debugging
-        const fakeStatus = event.fake ? 'FAKE' : 'REAL';
-        debugLog(`Received ${fakeStatus} C_START_COMBO_INSTANT_SKILL packet: ${JSON.stringify(event, bigIntReplacer)}`);
-        
-        if (mod.settings.logItemSkillToGame || mod.settings.logItemSkillToFile) {
-            // Parse skill ID to get base skill
-            const skillId = event.skill.id;
-            const skillBaseId = Math.floor((skillId - 0x4000000) / 10000);
-            
-            // Get skill name if possible
-            let skillName = "Unknown Combo Skill";
-            try {
-                skillName = `Combo Skill ${skillBaseId}`;
-            } catch (e) {
-                mod.warn(`Failed to get skill name for ID ${skillId}: ${e.message}`);
-            }
+    for (const entry of getWatchedPackets()) {
+        const purpose = entry.category === 'equipment' ? 'equipment log' : 'item/skill log';
+        const fallbacks = entry.version !== undefined ? [entry.version] : [];
+        const version = hookPacket(entry.name, fallbacks, { order: 1000, filter: { fake: null } }, event => {
+            handleWatchedPacket(entry, event);
+            return true;
+        }, purpose);
 
-            // Log to game chat
-            if (mod.settings.logItemSkillToGame) {
-                try {
-                    debugLog(`Attempting to log ${fakeStatus} combo skill to chat: ${skillName} (ID: ${skillId})`);
-                    command.message(`${fakeStatus} C_START_COMBO_INSTANT_SKILL: ${skillName} (ID: ${skillId})`);
-                    debugLog('Successfully logged combo skill to chat');
-                } catch (e) {
-                    mod.error(`Failed to log combo skill to chat: ${e.message}`);
-                }
-            }
-            
-            // Log to file
-            if (mod.settings.logItemSkillToFile && itemSkillLogStream) {
-                const timestamp = new Date().toISOString();
-                itemSkillLogStream.write(`${timestamp} | C_START_COMBO_INSTANT_SKILL | ID: ${skillId} | Base ID: ${skillBaseId} | Name: ${skillName}\n`);
-            }
+        // Only packets that are actually hooked count for logOnlyHookedPackets
+        if (version !== null) {
+            registerHookedPacket(entry.name);
         }
-        return true;
-    });
-    
-    // Additional Skill Usage Hook - for no-timeline skills
-    // Register and hook C_NOTIMELINE_SKILL
-    registerHookedPacket('C_NOTIMELINE_SKILL');
-    mod.hook('C_NOTIMELINE_SKILL', 3, { order: 1000, filter: { fake: null } }, event => {
-        // Log that we received a no-timeline skill packet for debugging
-        const fakeStatus = event.fake ? 'FAKE' : 'REAL';
-        debugLog(`Received ${fakeStatus} C_NOTIMELINE_SKILL packet: ${JSON.stringify(event, bigIntReplacer)}`);
-        
-        if (mod.settings.logItemSkillToGame || mod.settings.logItemSkillToFile) {
-            // Parse skill ID to get base skill
-            const skillId = event.skill.id;
-            const skillBaseId = Math.floor((skillId - 0x4000000) / 10000);
-            
-            // Get skill name if possible
-            let skillName = "Unknown NoTimeline Skill";
+    }
+
+    // --- Entity Registry ---
+    for (const name of EntityRegistry.PACKETS) {
+        // Include fake and hidden spawns, so entities created or hidden by other mods get a name as well
+        hookPacket(name, [], { order: LOG_ORDER, filter: { fake: null, silenced: null } }, event => {
             try {
-                skillName = `NoTimeline Skill ${skillBaseId}`;
+                entities.handle(name, event);
             } catch (e) {
-                mod.warn(`Failed to get skill name for ID ${skillId}: ${e.message}`);
+                mod.error(`Failed to track ${name} for the entity registry: ${e.message}`);
             }
+        }, 'entity names');
+    }
 
-            // Log to game chat
-            if (mod.settings.logItemSkillToGame) {
-                try {
-                    debugLog(`Attempting to log ${fakeStatus} no-timeline skill to chat: ${skillName} (ID: ${skillId})`);
-                    command.message(`${fakeStatus} C_NOTIMELINE_SKILL: ${skillName} (ID: ${skillId})`);
-                    debugLog('Successfully logged no-timeline skill to chat');
-                } catch (e) {
-                    mod.error(`Failed to log no-timeline skill to chat: ${e.message}`);
-                }
-            }
-            
-            // Log to file
-            if (mod.settings.logItemSkillToFile && itemSkillLogStream) {
-                const timestamp = new Date().toISOString();
-                itemSkillLogStream.write(`${timestamp} | C_NOTIMELINE_SKILL | ID: ${skillId} | Base ID: ${skillBaseId} | Name: ${skillName}\n`);
-            }
+    // Logins and zone changes move the logs (see Log Organisation). These hooks run before the capture and packet
+    // hooks, so the packet itself is already logged in the new files.
+    hookPacket('S_LOGIN', [], { order: CAPTURE_ORDER - 1, filter: { fake: false, silenced: null } }, event => {
+        try {
+            handleLogin({ serverId: event.serverId, playerId: event.playerId, name: event.name });
+        } catch (e) {
+            mod.error(`Failed to organise the logs for ${event.name}: ${e.message}`);
         }
-        return true;
-    });
+    }, 'log organisation');
+    hookPacket('S_LOAD_TOPO', [], { order: CAPTURE_ORDER - 1, filter: { fake: false, silenced: null } }, event => {
+        try {
+            handleZoneChange(event.zone);
+        } catch (e) {
+            mod.error(`Failed to split the logs on zone change: ${e.message}`);
+        }
+    }, 'log organisation');
 
-    // --- Equipment-related Packet Hooks ---
-    
-    // C_EQUIP_ITEM - Client equipping an item
-    try {
-        // Register and hook C_EQUIP_ITEM
-        registerHookedPacket('C_EQUIP_ITEM');
-        mod.hook('C_EQUIP_ITEM', mod.dispatch.protocolVersion.C_EQUIP_ITEM || 2, { order: 1000, filter: { fake: null } }, event => {
-            const fakeStatus = event.fake ? 'FAKE' : 'REAL';
-            debugLog(`Received ${fakeStatus} C_EQUIP_ITEM packet: ${JSON.stringify(event, bigIntReplacer)}`);
-            
-            if (mod.settings.logEquipmentToGame || mod.settings.logEquipmentToFile) {
-                // Get item name if possible
-                let itemName = "Unknown Item";
-                try {
-                    // Try to get item data from game state
-                    if (mod.game.data && mod.game.data.items) {
-                        const item = mod.game.data.items.get(event.id);
-                        if (item && item.name) {
-                            itemName = item.name;
-                        }
-                    }
-                } catch (e) {
-                    mod.warn(`Failed to get item name for ID ${event.id}: ${e.message}`);
-                }
+    // --- Encounters ---
+    // Packet and item/skill log segments the current encounter started in
+    let encounterFiles = [];
 
-                // Log to game chat
-                if (mod.settings.logEquipmentToGame) {
-                    try {
-                        command.message(`${fakeStatus} C_EQUIP_ITEM: ${itemName} (ID: ${event.id}) to slot ${event.slot} | GameID: ${event.gameId} | Unk: ${event.unk}`);
-                    } catch (e) {
-                        mod.error(`Failed to log equipment to chat: ${e.message}`);
-                    }
-                }
-                
-                // Log to file
-                if (mod.settings.logEquipmentToFile && itemSkillLogStream) {
-                    const timestamp = new Date().toISOString();
-                    itemSkillLogStream.write(`${timestamp} | C_EQUIP_ITEM | ID: ${event.id} | Name: ${itemName} | Slot: ${event.slot} | GameID: ${event.gameId} | Unk: ${event.unk}\n`);
-                }
-            }
-            return true;
-        });
-    } catch (e) {
-        mod.warn(`Could not hook C_EQUIP_ITEM: ${e.message}`);
+    // Helper function to list the current packet and item/skill log segments
+    function currentLogFiles() {
+        return [logStream, itemSkillLogStream].filter(log => log && log.path).map(log => path.relative(logDir, log.path));
     }
-    
-    // C_EQUIP_SERVANT_ITEM - Client equipping an item on a servant
-    try {
-        // Register and hook C_EQUIP_SERVANT_ITEM
-        registerHookedPacket('C_EQUIP_SERVANT_ITEM');
-        mod.hook('C_EQUIP_SERVANT_ITEM', mod.dispatch.protocolVersion.C_EQUIP_SERVANT_ITEM || 1, { order: 1000, filter: { fake: null } }, event => {
-            const fakeStatus = event.fake ? 'FAKE' : 'REAL';
-            debugLog(`Received ${fakeStatus} C_EQUIP_SERVANT_ITEM packet: ${JSON.stringify(event, bigIntReplacer)}`);
-            
-            if (mod.settings.logEquipmentToGame || mod.settings.logEquipmentToFile) {
-                // Get item name if possible
-                let itemName = "Unknown Item";
-                try {
-                    if (mod.game.data && mod.game.data.items) {
-                        const item = mod.game.data.items.get(event.itemId);
-                        if (item && item.name) {
-                            itemName = item.name;
-                        }
-                    }
-                } catch (e) {
-                    mod.warn(`Failed to get item name for ID ${event.itemId}: ${e.message}`);
-                }
 
-                // Log to game chat
-                if (mod.settings.logEquipmentToGame) {
-                    try {
-                        command.message(`${fakeStatus} C_EQUIP_SERVANT_ITEM: ${itemName} (ID: ${event.itemId}) on servant ${event.servantId}`);
-                    } catch (e) {
-                        mod.error(`Failed to log servant equipment to chat: ${e.message}`);
-                    }
-                }
-                
-                // Log to file
-                if (mod.settings.logEquipmentToFile && itemSkillLogStream) {
-                    const timestamp = new Date().toISOString();
-                    itemSkillLogStream.write(`${timestamp} | C_EQUIP_SERVANT_ITEM | ID: ${event.itemId} | Name: ${itemName} | ServantId: ${event.servantId}\n`);
-                }
-            }
-            return true;
-        });
-    } catch (e) {
-        mod.warn(`Could not hook C_EQUIP_SERVANT_ITEM: ${e.message}`);
+    // Helper function to mark an encounter boundary in the packet log, next to the packet that caused it
+    function writeEncounterMarker(marker, encounter, trigger) {
+        if (!trigger || !mod.settings.logEncounters || !mod.settings.logPktToFile || !logStream) {
+            return;
+        }
+        const details = { encounter: encounter.id, reason: marker === 'ENCOUNTER_START' ? encounter.startReason : encounter.endReason };
+        const code = mod.dispatch.protocolMap.name.get(trigger) || 0;
+        writePacketRecord({ timestamp: new Date().toISOString(), marker, direction: 'S->C', code, name: trigger, fake: false, details });
     }
-    
-    // C_PET_EQUIP - Client equipping an item on a pet
-    try {
-        // Register and hook C_PET_EQUIP
-        registerHookedPacket('C_PET_EQUIP');
-        mod.hook('C_PET_EQUIP', mod.dispatch.protocolVersion.C_PET_EQUIP || 3, { order: 1000, filter: { fake: null } }, event => {
-            const fakeStatus = event.fake ? 'FAKE' : 'REAL';
-            debugLog(`Received ${fakeStatus} C_PET_EQUIP packet: ${JSON.stringify(event, bigIntReplacer)}`);
-            
-            if (mod.settings.logEquipmentToGame || mod.settings.logEquipmentToFile) {
-                // Get item name if possible
-                let itemName = "Unknown Item";
-                try {
-                    if (mod.game.data && mod.game.data.items) {
-                        const item = mod.game.data.items.get(event.itemId);
-                        if (item && item.name) {
-                            itemName = item.name;
-                        }
-                    }
-                } catch (e) {
-                    mod.warn(`Failed to get item name for ID ${event.itemId}: ${e.message}`);
-                }
 
-                // Log to game chat
-                if (mod.settings.logEquipmentToGame) {
-                    try {
-                        command.message(`${fakeStatus} C_PET_EQUIP: ${itemName} (ID: ${event.itemId}) on pet ${event.petId}`);
-                    } catch (e) {
-                        mod.error(`Failed to log pet equipment to chat: ${e.message}`);
-                    }
-                }
-                
-                // Log to file
-                if (mod.settings.logEquipmentToFile && itemSkillLogStream) {
-                    const timestamp = new Date().toISOString();
-                    itemSkillLogStream.write(`${timestamp} | C_PET_EQUIP | ID: ${event.itemId} | Name: ${itemName} | PetId: ${event.petId}\n`);
-                }
-            }
-            return true;
-        });
-    } catch (e) {
-        mod.warn(`Could not hook C_PET_EQUIP: ${e.message}`);
+    // Helper function to describe the bosses of an encounter for chat
+    function describeBosses(encounter) {
+        return encounter.bosses.map(boss => `${boss.label || `NPC ${boss.huntingZoneId}:${boss.templateId}`}${boss.killed ? ' (killed)' : ''}`).join(', ');
     }
-    
-    // C_REQUEST_EQUIPMENT_INHERITANCE - Client requesting equipment inheritance
-    try {
-        // Register and hook C_REQUEST_EQUIPMENT_INHERITANCE
-        registerHookedPacket('C_REQUEST_EQUIPMENT_INHERITANCE');
-        mod.hook('C_REQUEST_EQUIPMENT_INHERITANCE', mod.dispatch.protocolVersion.C_REQUEST_EQUIPMENT_INHERITANCE || 2, { order: 1000, filter: { fake: null } }, event => {
-            const fakeStatus = event.fake ? 'FAKE' : 'REAL';
-            debugLog(`Received ${fakeStatus} C_REQUEST_EQUIPMENT_INHERITANCE packet: ${JSON.stringify(event, bigIntReplacer)}`);
-            
-            if (mod.settings.logEquipmentToGame || mod.settings.logEquipmentToFile) {
-                // Log to game chat
-                if (mod.settings.logEquipmentToGame) {
-                    try {
-                        command.message(`${fakeStatus} C_REQUEST_EQUIPMENT_INHERITANCE: Source item (${event.sourceItemUid}) to Target item (${event.targetItemUid})`);
-                    } catch (e) {
-                        mod.error(`Failed to log equipment inheritance to chat: ${e.message}`);
-                    }
-                }
-                
-                // Log to file
-                if (mod.settings.logEquipmentToFile && itemSkillLogStream) {
-                    const timestamp = new Date().toISOString();
-                    itemSkillLogStream.write(`${timestamp} | C_REQUEST_EQUIPMENT_INHERITANCE | Source: ${event.sourceItemUid} | Target: ${event.targetItemUid}\n`);
-                }
-            }
-            return true;
-        });
-    } catch (e) {
-        mod.warn(`Could not hook C_REQUEST_EQUIPMENT_INHERITANCE: ${e.message}`);
-    }
-    
-    // S_EQUIP_ITEM - Server confirming item equip
-    // Register and hook S_EQUIP_ITEM
-    registerHookedPacket('S_EQUIP_ITEM');
-    mod.hook('S_EQUIP_ITEM', 1, { order: 1000, filter: { fake: null } }, event => {
-        const fakeStatus = event.fake ? 'FAKE' : 'REAL';
-        debugLog(`Received ${fakeStatus} S_EQUIP_ITEM packet: ${JSON.stringify(event, bigIntReplacer)}`);
-        
-        if (mod.settings.logEquipmentToGame || mod.settings.logEquipmentToFile) {
-            // Get item name if possible
-            let itemName = "Unknown Item";
-            try {
-                if (mod.game.data && mod.game.data.items) {
-                    const item = mod.game.data.items.get(event.id);
-                    if (item && item.name) {
-                        itemName = item.name;
-                    }
-                }
-            } catch (e) {
-                mod.warn(`Failed to get item name for ID ${event.id}: ${e.message}`);
-            }
 
-            // Log to game chat
-            if (mod.settings.logEquipmentToGame) {
-                try {
-                    command.message(`${fakeStatus} S_EQUIP_ITEM: ${itemName} (ID: ${event.id}) equipped by CID: ${event.cid}, ItemID: ${event.itemid}`);
-                } catch (e) {
-                    mod.error(`Failed to log equipment to chat: ${e.message}`);
-                }
-            }
-            
-            // Log to file
-            if (mod.settings.logEquipmentToFile && itemSkillLogStream) {
-                const timestamp = new Date().toISOString();
-                itemSkillLogStream.write(`${timestamp} | S_EQUIP_ITEM | ID: ${event.id} | Name: ${itemName} | CID: ${event.cid} | ItemID: ${event.itemid}\n`);
+    const encounters = EncounterTracker({
+        isMe: gameId => mod.game.me.is(gameId),
+        labelOf: gameId => entities.label(gameId),
+        onStart: (encounter, trigger) => {
+            // Results from before the encounter are reported on their own
+            finishSkillStatsEncounter();
+            encounterFiles = currentLogFiles();
+            writeEncounterMarker('ENCOUNTER_START', encounter, trigger);
+            debugLog(`Encounter ${encounter.id} started (${encounter.startReason})`);
+        },
+        onEnd: (encounter, trigger) => {
+            finishSkillStatsEncounter(encounter);
+            writeEncounterMarker('ENCOUNTER_END', encounter, trigger);
+            debugLog(`Encounter ${encounter.id} ended (${encounter.endReason})`);
+            if (!mod.settings.logEncounters || !encounterLog) {
+                return;
             }
+
+            const { id, startedAt, endedAt, ...rest } = encounter;
+            const files = [...new Set([...encounterFiles, ...currentLogFiles()])];
+            encounterLog.write(JSON.stringify(Object.assign({
+                timestamp: new Date(startedAt).toISOString(),
+                name: 'ENCOUNTER',
+                encounter: id,
+                endedAt: new Date(endedAt).toISOString()
+            }, rest, { files }), reportReplacer) + '\n');
         }
-        return true;
     });
-    
-    // S_UNEQUIP_ITEM - Server confirming item unequip
-    // Register and hook S_UNEQUIP_ITEM
-    registerHookedPacket('S_UNEQUIP_ITEM');
-    mod.hook('S_UNEQUIP_ITEM', 2, { order: 1000, filter: { fake: null } }, event => {
-        const fakeStatus = event.fake ? 'FAKE' : 'REAL';
-        debugLog(`Received ${fakeStatus} S_UNEQUIP_ITEM packet: ${JSON.stringify(event, bigIntReplacer)}`);
-        
-        if (mod.settings.logEquipmentToGame || mod.settings.logEquipmentToFile) {
-            // Get item name if possible
-            let itemName = "Unknown Item";
+
+    for (const name of EncounterTracker.PACKETS) {
+        hookPacket(name, [], { order: LOG_ORDER, filter: { fake: false, silenced: null } }, event => {
             try {
-                if (mod.game.data && mod.game.data.items) {
-                    const item = mod.game.data.items.get(event.id);
-                    if (item && item.name) {
-                        itemName = item.name;
-                    }
-                }
+                encounters.handle(name, event);
             } catch (e) {
-                mod.warn(`Failed to get item name for ID ${event.id}: ${e.message}`);
+                mod.error(`Failed to track ${name} for encounters: ${e.message}`);
             }
+        }, 'encounters');
+    }
 
-            // Log to game chat
-            if (mod.settings.logEquipmentToGame) {
-                try {
-                    command.message(`${fakeStatus} S_UNEQUIP_ITEM: ${itemName} (ID: ${event.id}) unequipped | GameId: ${event.gameId} | ItemId: ${event.itemId}`);
-                } catch (e) {
-                    mod.error(`Failed to log equipment unequip to chat: ${e.message}`);
-                }
-            }
-            
-            // Log to file
-            if (mod.settings.logEquipmentToFile && itemSkillLogStream) {
-                const timestamp = new Date().toISOString();
-                itemSkillLogStream.write(`${timestamp} | S_UNEQUIP_ITEM | ID: ${event.id} | Name: ${itemName} | GameId: ${event.gameId} | ItemId: ${event.itemId}\n`);
-            }
+    // --- Skill Timeline ---
+
+    // Helper function to write a finished cast to the timeline file
+    function writeSkillCast(cast, skill) {
+        if (!mod.settings.logSkillTimeline || !skillTimelineLog) {
+            return;
         }
-        return true;
-    });
-    
-    // S_EQUIP_SERVANT_ITEM - Server confirming servant item equip
-    try {
-        // Register and hook S_EQUIP_SERVANT_ITEM
-        registerHookedPacket('S_EQUIP_SERVANT_ITEM');
-        mod.hook('S_EQUIP_SERVANT_ITEM', mod.dispatch.protocolVersion.S_EQUIP_SERVANT_ITEM || 1, { order: 1000, filter: { fake: null } }, event => {
-            const fakeStatus = event.fake ? 'FAKE' : 'REAL';
-            debugLog(`Received ${fakeStatus} S_EQUIP_SERVANT_ITEM packet: ${JSON.stringify(event, bigIntReplacer)}`);
-            
-            if (mod.settings.logEquipmentToGame || mod.settings.logEquipmentToFile) {
-                // Get item name if possible
-                let itemName = "Unknown Item";
-                try {
-                    if (mod.game.data && mod.game.data.items) {
-                        const item = mod.game.data.items.get(event.itemId);
-                        if (item && item.name) {
-                            itemName = item.name;
-                        }
-                    }
-                } catch (e) {
-                    mod.warn(`Failed to get item name for ID ${event.itemId}: ${e.message}`);
-                }
 
-                // Log to game chat
-                if (mod.settings.logEquipmentToGame) {
-                    try {
-                        command.message(`${fakeStatus} S_EQUIP_SERVANT_ITEM: ${itemName} (ID: ${event.itemId}) on servant ${event.servantId}`);
-                    } catch (e) {
-                        mod.error(`Failed to log servant equipment to chat: ${e.message}`);
-                    }
-                }
-                
-                // Log to file
-                if (mod.settings.logEquipmentToFile && itemSkillLogStream) {
-                    const timestamp = new Date().toISOString();
-                    itemSkillLogStream.write(`${timestamp} | S_EQUIP_SERVANT_ITEM | ID: ${event.itemId} | Name: ${itemName} | ServantId: ${event.servantId}\n`);
-                }
-            }
-            return true;
-        });
-    } catch (e) {
-        mod.warn(`Could not hook S_EQUIP_SERVANT_ITEM: ${e.message}`);
+        skillTimelineLog.write(getSkillName(skill, mod.game.me.templateId, `Skill ${cast.baseId}`).then(name => {
+            return JSON.stringify(Object.assign({ timestamp: cast.timestamp, name }, cast), bigIntReplacer) + '\n';
+        }));
     }
-    
-    // S_USER_ITEM_EQUIP_CHANGER - Server notifying about item equip change
-    registerHookedPacket('S_USER_ITEM_EQUIP_CHANGER');
-    mod.hook('S_USER_ITEM_EQUIP_CHANGER', 1, { order: 1000, filter: { fake: null } }, event => {
-        const fakeStatus = event.fake ? 'FAKE' : 'REAL';
-        debugLog(`Received ${fakeStatus} S_USER_ITEM_EQUIP_CHANGER packet: ${JSON.stringify(event, bigIntReplacer)}`);
-        
-        if (mod.settings.logEquipmentToGame || mod.settings.logEquipmentToFile) {
-            // Log to game chat
-            if (mod.settings.logEquipmentToGame) {
-                try {
-                    command.message(`${fakeStatus} S_USER_ITEM_EQUIP_CHANGER: User ${event.gameId} changed equipment`);
-                } catch (e) {
-                    mod.error(`Failed to log equipment change to chat: ${e.message}`);
-                }
-            }
-            
-            // Log to file
-            if (mod.settings.logEquipmentToFile && itemSkillLogStream) {
-                const timestamp = new Date().toISOString();
-                itemSkillLogStream.write(`${timestamp} | S_USER_ITEM_EQUIP_CHANGER | GameId: ${event.gameId}\n`);
-            }
-        }
-        return true;
+
+    const skillTimeline = SkillTimeline({
+        isMe: gameId => mod.game.me.is(gameId),
+        onCast: writeSkillCast
     });
-    
-    // --- Additional Skill-related Packet Hooks ---
-    
-    // S_EACH_SKILL_RESULT - Server reporting skill result
-    registerHookedPacket('S_EACH_SKILL_RESULT');
-    mod.hook('S_EACH_SKILL_RESULT', 14, { order: 1000, filter: { fake: null } }, event => {
-        const fakeStatus = event.fake ? 'FAKE' : 'REAL';
-        debugLog(`Received ${fakeStatus} S_EACH_SKILL_RESULT packet: ${JSON.stringify(event, bigIntReplacer)}`);
-        
-        if (mod.settings.logItemSkillToGame || mod.settings.logItemSkillToFile) {
-            // Parse skill ID to get base skill
-            const skillId = event.skill.id;
-            const skillBaseId = Math.floor((skillId - 0x4000000) / 10000);
-            
-            // Get skill name if possible
-            let skillName = "Unknown Skill Result";
+
+    for (const name of SkillTimeline.PACKETS) {
+        const entry = WatchedPackets.find(watched => watched.name === name);
+        // Include packets silenced by other mods (e.g. skill prediction), the timeline follows what the server did
+        hookPacket(name, [entry.version], { order: LOG_ORDER, filter: { fake: false, silenced: null } }, event => {
             try {
-                skillName = `Skill Result ${skillBaseId}`;
+                skillTimeline.handle(name, event);
             } catch (e) {
-                mod.warn(`Failed to get skill name for ID ${skillId}: ${e.message}`);
+                mod.error(`Failed to track ${name} for the skill timeline: ${e.message}`);
             }
+        }, 'skill timeline');
+    }
 
-            // Log to game chat
-            if (mod.settings.logItemSkillToGame) {
-                try {
-                    command.message(`${fakeStatus} S_EACH_SKILL_RESULT: ${skillName} (ID: ${skillId}) from ${event.source} to ${event.target}`);
-                } catch (e) {
-                    mod.error(`Failed to log skill result to chat: ${e.message}`);
-                }
-            }
-            
-            // Log to file
-            if (mod.settings.logItemSkillToFile && itemSkillLogStream) {
-                const timestamp = new Date().toISOString();
-                itemSkillLogStream.write(`${timestamp} | S_EACH_SKILL_RESULT | ID: ${skillId} | Base ID: ${skillBaseId} | Name: ${skillName} | Source: ${event.source} | Target: ${event.target}\n`);
-            }
-        }
-        return true;
+    // --- Skill Statistics ---
+    const skillStats = SkillStats({
+        get windowSeconds() { return mod.settings.skillStatsWindowSeconds; }
     });
-    
-    // S_ACTION_END - Server reporting skill action end
-    registerHookedPacket('S_ACTION_END');
-    mod.hook('S_ACTION_END', 5, { order: 1000, filter: { fake: null } }, event => {
-        const fakeStatus = event.fake ? 'FAKE' : 'REAL';
-        debugLog(`Received ${fakeStatus} S_ACTION_END packet: ${JSON.stringify(event, bigIntReplacer)}`);
-        
-        if (mod.settings.logItemSkillToGame || mod.settings.logItemSkillToFile) {
-            // Parse skill ID to get base skill
-            const skillId = event.skill.id;
-            const skillBaseId = Math.floor((skillId - 0x4000000) / 10000);
-            
-            // Get skill name if possible
-            let skillName = "Unknown Action End";
-            try {
-                skillName = `Action End ${skillBaseId}`;
-            } catch (e) {
-                mod.warn(`Failed to get skill name for ID ${skillId}: ${e.message}`);
-            }
+    let skillStatsTimer = null;
 
-            // Log to game chat
-            if (mod.settings.logItemSkillToGame) {
-                try {
-                    command.message(`${fakeStatus} S_ACTION_END: ${skillName} (ID: ${skillId}) by ${event.gameId}`);
-                } catch (e) {
-                    mod.error(`Failed to log action end to chat: ${e.message}`);
-                }
-            }
-            
-            // Log to file
-            if (mod.settings.logItemSkillToFile && itemSkillLogStream) {
-                const timestamp = new Date().toISOString();
-                itemSkillLogStream.write(`${timestamp} | S_ACTION_END | ID: ${skillId} | Base ID: ${skillBaseId} | Name: ${skillName} | GameId: ${event.gameId}\n`);
-            }
+    // Helper function to format a large number for chat, e.g. 1234567 -> 1.23M
+    function formatAmount(value) {
+        if (value >= 1e9) return `${(value / 1e9).toFixed(2)}B`;
+        if (value >= 1e6) return `${(value / 1e6).toFixed(2)}M`;
+        if (value >= 1e3) return `${(value / 1e3).toFixed(1)}k`;
+        return `${Math.round(value)}`;
+    }
+
+    // Helper function to add skill names and entity labels to the entries of a summary
+    function nameSkills(summary) {
+        const entityEntries = summary.entities.map(entry => Object.assign({ label: entities.label(entry.entity) }, entry));
+        return Promise.all(summary.skills.map(entry => {
+            return getSkillName(entry.skillObject, entry.templateId, `Skill ${entry.skill}`).then(name => {
+                const { skillObject, ...rest } = entry;
+                return Object.assign({ name }, rest);
+            });
+        })).then(skills => Object.assign({}, summary, { skills, entities: entityEntries }));
+    }
+
+    // Helper function to write the report of the finished encounter and start a new one. The statistics follow the
+    // encounters of the encounter tracker and take their numbers and times; results outside of an encounter are
+    // reported without a number, once there were none for skillStatsIdleSeconds.
+    function finishSkillStatsEncounter(encounter = null) {
+        clearTimeout(skillStatsTimer);
+        skillStatsTimer = null;
+        if (skillStats.startedAt === null) {
+            return;
         }
-        return true;
-    });
-    
-    // S_ACTION_STAGE - Server reporting skill action stage
-    registerHookedPacket('S_ACTION_STAGE');
-    mod.hook('S_ACTION_STAGE', 9, { order: 1000, filter: { fake: null } }, event => {
-        const fakeStatus = event.fake ? 'FAKE' : 'REAL';
-        debugLog(`Received ${fakeStatus} S_ACTION_STAGE packet: ${JSON.stringify(event, bigIntReplacer)}`);
-        
-        if (mod.settings.logItemSkillToGame || mod.settings.logItemSkillToFile) {
-            // Parse skill ID to get base skill
-            const skillId = event.skill.id;
-            const skillBaseId = Math.floor((skillId - 0x4000000) / 10000);
-            
-            // Get skill name if possible
-            let skillName = "Unknown Action Stage";
-            try {
-                skillName = `Action Stage ${skillBaseId}`;
-            } catch (e) {
-                mod.warn(`Failed to get skill name for ID ${skillId}: ${e.message}`);
-            }
 
-            // Log to game chat
-            if (mod.settings.logItemSkillToGame) {
-                try {
-                    command.message(`${fakeStatus} S_ACTION_STAGE: ${skillName} (ID: ${skillId}) by ${event.gameId} stage ${event.stage}`);
-                } catch (e) {
-                    mod.error(`Failed to log action stage to chat: ${e.message}`);
-                }
+        if (mod.settings.logSkillStats && skillStatsLog) {
+            const startedAt = encounter ? encounter.startedAt : skillStats.startedAt;
+            const endedAt = encounter ? encounter.endedAt : skillStats.lastResultAt;
+            // The sliding window DPS at the last result, not after the time that ended the encounter
+            const summaries = ['out', 'in'].map(direction => nameSkills(skillStats.summary(direction, skillStats.lastResultAt)));
+            skillStatsLog.write(Promise.all(summaries).then(([outgoing, incoming]) => {
+                return JSON.stringify({
+                    timestamp: new Date(startedAt).toISOString(),
+                    name: 'ENCOUNTER',
+                    encounter: encounter ? encounter.id : null,
+                    endedAt: new Date(endedAt).toISOString(),
+                    duration: (endedAt - startedAt) / 1000,
+                    outgoing,
+                    incoming
+                }, reportReplacer) + '\n';
+            }));
+        }
+        skillStats.reset();
+    }
+
+    const resultEntry = WatchedPackets.find(watched => watched.name === 'S_EACH_SKILL_RESULT');
+    // Results hidden by other mods (e.g. damage number or effect hiders) still count
+    hookPacket(resultEntry.name, [resultEntry.version], { order: LOG_ORDER, filter: { fake: false, silenced: null } }, event => {
+        try {
+            // Projectiles and summons have their owner set, their results count as the owner's
+            const source = event.owner && event.owner !== 0n ? event.owner : event.source;
+            let direction;
+            if (mod.game.me.is(source)) {
+                direction = 'out';
+            } else if (mod.game.me.is(event.target)) {
+                direction = 'in';
+            } else {
+                return;
             }
-            
-            // Log to file
-            if (mod.settings.logItemSkillToFile && itemSkillLogStream) {
-                const timestamp = new Date().toISOString();
-                itemSkillLogStream.write(`${timestamp} | S_ACTION_STAGE | ID: ${skillId} | Base ID: ${skillBaseId} | Name: ${skillName} | GameId: ${event.gameId} | Stage: ${event.stage}\n`);
+
+            const recorded = skillStats.record({
+                direction,
+                skill: event.skill.id,
+                skillObject: event.skill,
+                templateId: event.templateId,
+                entity: direction === 'out' ? event.target : source,
+                type: event.type,
+                value: event.value,
+                crit: event.crit
+            });
+
+            // Outside of an encounter, the results are reported once nothing was dealt or received for a while
+            if (recorded && encounters.currentId === null) {
+                clearTimeout(skillStatsTimer);
+                skillStatsTimer = setTimeout(finishSkillStatsEncounter, Math.max(1, mod.settings.skillStatsIdleSeconds) * 1000);
             }
+        } catch (e) {
+            mod.error(`Failed to track S_EACH_SKILL_RESULT for the skill statistics: ${e.message}`);
         }
-        return true;
-    });
-    
-    // S_START_COOLTIME_SKILL - Server reporting skill cooldown start
-    registerHookedPacket('S_START_COOLTIME_SKILL');
-    mod.hook('S_START_COOLTIME_SKILL', 3, { order: 1000, filter: { fake: null } }, event => {
-        const fakeStatus = event.fake ? 'FAKE' : 'REAL';
-        debugLog(`Received ${fakeStatus} S_START_COOLTIME_SKILL packet: ${JSON.stringify(event, bigIntReplacer)}`);
-        
-        if (mod.settings.logItemSkillToGame || mod.settings.logItemSkillToFile) {
-            // Parse skill ID to get base skill
-            const skillId = event.skill.id;
-            const skillBaseId = Math.floor((skillId - 0x4000000) / 10000);
-            
-            // Get skill name if possible
-            let skillName = "Unknown Skill Cooldown";
+    }, 'skill statistics');
+
+    // --- Inventory ---
+    // The inventory and equipment are modelled from the item list packets. Once a burst of lists has settled, what
+    // changed is written to the item/skill log; the lists of an equip arrive separately, so reporting right away
+    // would show the item as lost and gained again.
+    const INVENTORY_SETTLE_MS = 500;
+    const inventory = InventoryTracker({ isMe: gameId => mod.game.me.is(gameId) });
+    let inventoryTimer = null;
+    let inventoryMarker = 'login'; // Marker invdiff compares with by default
+
+    // Helper function to describe an item for the inventory log and chat, e.g. "Prime Recovery Potable (6552)"
+    function describeItem(item) {
+        return `${getItemName(item.id, `Item ${item.id}`)} (${item.id})${item.enchant ? ` +${item.enchant}` : ''}`;
+    }
+
+    // Helper function to format an amount of money (in copper) as gold, silver and copper, e.g. "12g 34s 56c"
+    function formatMoney(copper) {
+        const sign = copper < 0n ? '-' : '+';
+        const amount = copper < 0n ? -copper : copper;
+        return `${sign}${amount / 10000n}g ${(amount / 100n) % 100n}s ${amount % 100n}c`;
+    }
+
+    // Helper function to list inventory changes as text, one line each
+    function describeInventoryChanges(changes) {
+        const lines = [];
+        if (changes.money !== null) lines.push(`Money: ${formatMoney(changes.money)}`);
+        changes.items.forEach(change => lines.push(`${change.change > 0 ? '+' : ''}${change.change} ${describeItem(change)}, now ${change.after}`));
+        changes.enchants.forEach(change => lines.push(`Enchant: ${getItemName(change.id, `Item ${change.id}`)} (${change.id}) +${change.before} -> +${change.after}`));
+        changes.equipment.forEach(change => lines.push(`Slot ${change.slot}: ${change.before ? describeItem(change.before) : 'empty'} -> ${change.after ? describeItem(change.after) : 'empty'}`));
+        return lines;
+    }
+
+    // Helper function to write what changed since the last report to the item/skill log
+    function reportInventoryChanges() {
+        clearTimeout(inventoryTimer);
+        inventoryTimer = null;
+
+        const changes = inventory.takeChanges();
+        if (!changes || !mod.settings.logInventory || !itemSkillLogStream) {
+            return;
+        }
+
+        const timestamp = new Date().toISOString();
+        const encounterTag = mod.settings.logEncounters && encounters.currentId !== null ? ` | Encounter: ${encounters.currentId}` : '';
+        const lines = [];
+        if (changes.money !== null) {
+            lines.push(`MONEY_CHANGE | Change: ${changes.money > 0n ? '+' : ''}${changes.money} | Amount: ${inventory.snapshot().money}`);
+        }
+        for (const change of changes.items) {
+            lines.push(`INVENTORY_CHANGE | ID: ${change.id} | Name: ${getItemName(change.id, `Item ${change.id}`)} | Change: ${change.change > 0 ? '+' : ''}${change.change} | Amount: ${change.after}`);
+        }
+        for (const change of changes.enchants) {
+            lines.push(`ENCHANT_CHANGE | ID: ${change.id} | Name: ${getItemName(change.id, `Item ${change.id}`)} | DBID: ${change.dbid} | Before: ${change.before} | After: ${change.after}`);
+        }
+        for (const change of changes.equipment) {
+            const before = change.before ? describeItem(change.before) : 'empty';
+            const after = change.after ? describeItem(change.after) : 'empty';
+            lines.push(`EQUIPMENT_CHANGE | Slot: ${change.slot} | Before: ${before} | After: ${after}`);
+        }
+        // Behind the item/skill lines still waiting for their names
+        queueItemSkillOutput(null, () => {
+            lines.forEach(line => itemSkillLogStream.write(`${timestamp} | ${line}${encounterTag}\n`));
+        });
+    }
+
+    // Only one of the item list packets exists in a client
+    for (const name of InventoryTracker.PACKETS.filter(packet => mod.dispatch.protocolMap.name.has(packet))) {
+        hookPacket(name, [], { order: LOG_ORDER, filter: { fake: false, silenced: null } }, event => {
+            if (name === 'S_LOGIN') {
+                // Changes of the previous character are reported before its inventory is forgotten
+                reportInventoryChanges();
+                inventoryMarker = 'login';
+            }
             try {
-                skillName = `Skill Cooldown ${skillBaseId}`;
+                inventory.handle(name, event);
             } catch (e) {
-                mod.warn(`Failed to get skill name for ID ${skillId}: ${e.message}`);
+                mod.error(`Failed to track ${name} for the inventory: ${e.message}`);
+                return;
             }
 
-            // Log to game chat
-            if (mod.settings.logItemSkillToGame) {
-                try {
-                    command.message(`${fakeStatus} S_START_COOLTIME_SKILL: ${skillName} (ID: ${skillId}) cooldown: ${event.cooldown}ms`);
-                } catch (e) {
-                    mod.error(`Failed to log skill cooldown to chat: ${e.message}`);
-                }
+            if (name !== 'S_LOGIN') {
+                clearTimeout(inventoryTimer);
+                inventoryTimer = setTimeout(reportInventoryChanges, INVENTORY_SETTLE_MS);
             }
-            
-            // Log to file
-            if (mod.settings.logItemSkillToFile && itemSkillLogStream) {
-                const timestamp = new Date().toISOString();
-                itemSkillLogStream.write(`${timestamp} | S_START_COOLTIME_SKILL | ID: ${skillId} | Base ID: ${skillBaseId} | Name: ${skillName} | Cooldown: ${event.cooldown}ms\n`);
-            }
-        }
-        return true;
+        }, 'inventory');
+    }
+
+    // --- Equipment Snapshots ---
+    // The loadouts of the player, their servants and their pets. A numbered snapshot is written to the equipment file
+    // on login and whenever they change, once the burst of equip and list packets has settled.
+    const equipment = EquipmentLoadout({
+        isMe: gameId => mod.game.me.is(gameId),
+        findItem: id => inventory.find(id)
     });
-    
-    // --- Additional Equipment-related Packet Hooks ---
-    
-    // S_OBTAIN_TOKEN_ITEM - Server reporting token item obtained
-    try {
-        registerHookedPacket('S_OBTAIN_TOKEN_ITEM');
-        mod.hook('S_OBTAIN_TOKEN_ITEM', mod.dispatch.protocolVersion.S_OBTAIN_TOKEN_ITEM || 1, { order: 1000, filter: { fake: null } }, event => {
-            const fakeStatus = event.fake ? 'FAKE' : 'REAL';
-            debugLog(`Received ${fakeStatus} S_OBTAIN_TOKEN_ITEM packet: ${JSON.stringify(event, bigIntReplacer)}`);
-            
-            if (mod.settings.logEquipmentToGame || mod.settings.logEquipmentToFile) {
-                // Get item name if possible
-                let itemName = "Unknown Token Item";
-                try {
-                    if (mod.game.data && mod.game.data.items) {
-                        const item = mod.game.data.items.get(event.itemId);
-                        if (item && item.name) {
-                            itemName = item.name;
-                        }
-                    }
-                } catch (e) {
-                    mod.warn(`Failed to get item name for ID ${event.itemId}: ${e.message}`);
-                }
+    let equipmentTimer = null;
+    let equipmentReason = null; // What caused the changes since the last snapshot
 
-                // Log to game chat
-                if (mod.settings.logEquipmentToGame) {
-                    try {
-                        command.message(`${fakeStatus} S_OBTAIN_TOKEN_ITEM: ${itemName} (ID: ${event.itemId}) amount: ${event.amount}`);
-                    } catch (e) {
-                        mod.error(`Failed to log token item to chat: ${e.message}`);
-                    }
-                }
-                
-                // Log to file
-                if (mod.settings.logEquipmentToFile && itemSkillLogStream) {
-                    const timestamp = new Date().toISOString();
-                    itemSkillLogStream.write(`${timestamp} | S_OBTAIN_TOKEN_ITEM | ID: ${event.itemId} | Name: ${itemName} | Amount: ${event.amount}\n`);
-                }
-            }
-            return true;
-        });
-    } catch (e) {
-        mod.warn(`Could not hook S_OBTAIN_TOKEN_ITEM: ${e.message}`);
+    // Helper function to add the item names to a list of equipped items for the snapshot file
+    function withItemNames(items) {
+        return items.map(item => ({ slot: item.slot, id: item.id, name: getItemName(item.id, null), dbid: item.dbid, enchant: item.enchant }));
     }
-    
-    // S_PREVIEW_ITEM - Server sending item preview
-    registerHookedPacket('S_PREVIEW_ITEM');
-    mod.hook('S_PREVIEW_ITEM', 1, { order: 1000, filter: { fake: null } }, event => {
-        const fakeStatus = event.fake ? 'FAKE' : 'REAL';
-        debugLog(`Received ${fakeStatus} S_PREVIEW_ITEM packet: ${JSON.stringify(event, bigIntReplacer)}`);
-        
-        if (mod.settings.logEquipmentToGame || mod.settings.logEquipmentToFile) {
-            // Log to game chat
-            if (mod.settings.logEquipmentToGame) {
-                try {
-                    command.message(`${fakeStatus} S_PREVIEW_ITEM: Preview item data received`);
-                } catch (e) {
-                    mod.error(`Failed to log item preview to chat: ${e.message}`);
-                }
-            }
-            
-            // Log to file
-            if (mod.settings.logEquipmentToFile && itemSkillLogStream) {
-                const timestamp = new Date().toISOString();
-                itemSkillLogStream.write(`${timestamp} | S_PREVIEW_ITEM | Preview data received\n`);
-            }
+
+    // Helper function to take a snapshot if the loadouts changed, and write it to the equipment file
+    function takeEquipmentSnapshot() {
+        clearTimeout(equipmentTimer);
+        equipmentTimer = null;
+        if (equipmentReason === null) {
+            return;
         }
-        return true;
-    });
-    
-    // S_RECEIVE_TOKEN_TARGET_ITEM - Server reporting token target item received
-    try {
-        registerHookedPacket('S_RECEIVE_TOKEN_TARGET_ITEM');
-        mod.hook('S_RECEIVE_TOKEN_TARGET_ITEM', mod.dispatch.protocolVersion.S_RECEIVE_TOKEN_TARGET_ITEM || 1, { order: 1000, filter: { fake: null } }, event => {
-            const fakeStatus = event.fake ? 'FAKE' : 'REAL';
-            debugLog(`Received ${fakeStatus} S_RECEIVE_TOKEN_TARGET_ITEM packet: ${JSON.stringify(event, bigIntReplacer)}`);
-            
-            if (mod.settings.logEquipmentToGame || mod.settings.logEquipmentToFile) {
-                // Get item name if possible
-                let itemName = "Unknown Token Target Item";
-                try {
-                    if (mod.game.data && mod.game.data.items) {
-                        const item = mod.game.data.items.get(event.itemId);
-                        if (item && item.name) {
-                            itemName = item.name;
-                        }
-                    }
-                } catch (e) {
-                    mod.warn(`Failed to get item name for ID ${event.itemId}: ${e.message}`);
-                }
 
-                // Log to game chat
-                if (mod.settings.logEquipmentToGame) {
-                    try {
-                        command.message(`${fakeStatus} S_RECEIVE_TOKEN_TARGET_ITEM: ${itemName} (ID: ${event.itemId})`);
-                    } catch (e) {
-                        mod.error(`Failed to log token target item to chat: ${e.message}`);
-                    }
-                }
-                
-                // Log to file
-                if (mod.settings.logEquipmentToFile && itemSkillLogStream) {
-                    const timestamp = new Date().toISOString();
-                    itemSkillLogStream.write(`${timestamp} | S_RECEIVE_TOKEN_TARGET_ITEM | ID: ${event.itemId} | Name: ${itemName}\n`);
-                }
-            }
-            return true;
-        });
-    } catch (e) {
-        mod.warn(`Could not hook S_RECEIVE_TOKEN_TARGET_ITEM: ${e.message}`);
+        const snapshot = equipment.take(equipmentReason);
+        equipmentReason = null;
+        if (!snapshot || !mod.settings.logEquipmentSnapshots || !equipmentLog) {
+            return;
+        }
+
+        const mapOwners = owners => {
+            const named = {};
+            Object.keys(owners).forEach(key => { named[key] = withItemNames(owners[key]); });
+            return named;
+        };
+        equipmentLog.write(JSON.stringify({
+            timestamp: new Date(snapshot.time).toISOString(),
+            name: 'EQUIPMENT_SNAPSHOT',
+            snapshot: snapshot.number,
+            reason: snapshot.reason,
+            character: mod.game.me.name || null,
+            equipment: withItemNames(snapshot.character),
+            servants: mapOwners(snapshot.servants),
+            pets: mapOwners(snapshot.pets)
+        }, reportReplacer) + '\n');
     }
-    
-    // S_RESULT_COMBINE_ITEM - Server reporting item combination result
-    try {
-        registerHookedPacket('S_RESULT_COMBINE_ITEM');
-        mod.hook('S_RESULT_COMBINE_ITEM', mod.dispatch.protocolVersion.S_RESULT_COMBINE_ITEM || 1, { order: 1000, filter: { fake: null } }, event => {
-            const fakeStatus = event.fake ? 'FAKE' : 'REAL';
-            debugLog(`Received ${fakeStatus} S_RESULT_COMBINE_ITEM packet: ${JSON.stringify(event, bigIntReplacer)}`);
-            
-            if (mod.settings.logEquipmentToGame || mod.settings.logEquipmentToFile) {
-                // Log to game chat
-                if (mod.settings.logEquipmentToGame) {
-                    try {
-                        command.message(`${fakeStatus} S_RESULT_COMBINE_ITEM: Item combination result: ${event.success ? 'Success' : 'Failed'}`);
-                    } catch (e) {
-                        mod.error(`Failed to log item combination result to chat: ${e.message}`);
-                    }
-                }
-                
-                // Log to file
-                if (mod.settings.logEquipmentToFile && itemSkillLogStream) {
-                    const timestamp = new Date().toISOString();
-                    itemSkillLogStream.write(`${timestamp} | S_RESULT_COMBINE_ITEM | Success: ${event.success}\n`);
-                }
-            }
-            return true;
-        });
-    } catch (e) {
-        mod.warn(`Could not hook S_RESULT_COMBINE_ITEM: ${e.message}`);
+
+    // Helper function to take a snapshot once the packets of a change have settled
+    function scheduleEquipmentSnapshot(reason) {
+        if (equipmentReason === null) {
+            equipmentReason = reason;
+        }
+        clearTimeout(equipmentTimer);
+        equipmentTimer = setTimeout(takeEquipmentSnapshot, INVENTORY_SETTLE_MS);
     }
-    
-    // S_RESULT_REPAIR_ITEM - Server reporting item repair result
-    try {
-        registerHookedPacket('S_RESULT_REPAIR_ITEM');
-        mod.hook('S_RESULT_REPAIR_ITEM', mod.dispatch.protocolVersion.S_RESULT_REPAIR_ITEM || 1, { order: 1000, filter: { fake: null } }, event => {
-            const fakeStatus = event.fake ? 'FAKE' : 'REAL';
-            debugLog(`Received ${fakeStatus} S_RESULT_REPAIR_ITEM packet: ${JSON.stringify(event, bigIntReplacer)}`);
-            
-            if (mod.settings.logEquipmentToGame || mod.settings.logEquipmentToFile) {
-                // Log to game chat
-                if (mod.settings.logEquipmentToGame) {
-                    try {
-                        command.message(`${fakeStatus} S_RESULT_REPAIR_ITEM: Item repair result received`);
-                    } catch (e) {
-                        mod.error(`Failed to log item repair result to chat: ${e.message}`);
-                    }
-                }
-                
-                // Log to file
-                if (mod.settings.logEquipmentToFile && itemSkillLogStream) {
-                    const timestamp = new Date().toISOString();
-                    itemSkillLogStream.write(`${timestamp} | S_RESULT_REPAIR_ITEM | Repair result received\n`);
-                }
+
+    // Runs after the inventory hook, so the inventory tracker already has the complete equipment list
+    for (const name of InventoryTracker.PACKETS.filter(packet => mod.dispatch.protocolMap.name.has(packet))) {
+        hookPacket(name, [], { order: LOG_ORDER + 1, filter: { fake: false, silenced: null } }, event => {
+            if (name === 'S_LOGIN') {
+                // The previous character's last change is written before its loadout is forgotten
+                takeEquipmentSnapshot();
+                equipment.reset();
+                equipmentReason = 'login';
+                return;
             }
-            return true;
-        });
-    } catch (e) {
-        mod.warn(`Could not hook S_RESULT_REPAIR_ITEM: ${e.message}`);
+
+            const listed = inventory.equipment;
+            if (listed && equipment.setEquipment(listed)) {
+                scheduleEquipmentSnapshot(name);
+            }
+        }, 'equipment snapshots');
     }
-    
-    // S_SEND_QUEST_ITEM_INFO - Server sending quest item info
-    try {
-        registerHookedPacket('S_SEND_QUEST_ITEM_INFO');
-        mod.hook('S_SEND_QUEST_ITEM_INFO', mod.dispatch.protocolVersion.S_SEND_QUEST_ITEM_INFO || 1, { order: 1000, filter: { fake: null } }, event => {
-            const fakeStatus = event.fake ? 'FAKE' : 'REAL';
-            debugLog(`Received ${fakeStatus} S_SEND_QUEST_ITEM_INFO packet: ${JSON.stringify(event, bigIntReplacer)}`);
-            
-            if (mod.settings.logEquipmentToGame || mod.settings.logEquipmentToFile) {
-                // Log to game chat
-                if (mod.settings.logEquipmentToGame) {
-                    try {
-                        command.message(`${fakeStatus} S_SEND_QUEST_ITEM_INFO: Quest item info received`);
-                    } catch (e) {
-                        mod.error(`Failed to log quest item info to chat: ${e.message}`);
-                    }
-                }
-                
-                // Log to file
-                if (mod.settings.logEquipmentToFile && itemSkillLogStream) {
-                    const timestamp = new Date().toISOString();
-                    itemSkillLogStream.write(`${timestamp} | S_SEND_QUEST_ITEM_INFO | Quest item info received\n`);
+
+    // Older clients lack some of the servant and pet packets
+    const equipmentFallbacks = new Map(getWatchedPackets().map(entry => [entry.name, entry.version !== undefined ? [entry.version] : []]));
+    for (const name of EquipmentLoadout.PACKETS.filter(packet => mod.dispatch.protocolMap.name.has(packet))) {
+        hookPacket(name, equipmentFallbacks.get(name) || [], { order: LOG_ORDER, filter: { fake: false, silenced: null } }, event => {
+            try {
+                if (equipment.handle(name, event)) {
+                    scheduleEquipmentSnapshot(name);
                 }
+            } catch (e) {
+                mod.error(`Failed to track ${name} for equipment snapshots: ${e.message}`);
             }
-            return true;
-        });
-    } catch (e) {
-        mod.warn(`Could not hook S_SEND_QUEST_ITEM_INFO: ${e.message}`);
+        }, 'equipment snapshots');
     }
-    
-    // S_SET_SEND_PARCEL_ITEM - Server setting parcel item
-    try {
-        registerHookedPacket('S_SET_SEND_PARCEL_ITEM');
-        mod.hook('S_SET_SEND_PARCEL_ITEM', mod.dispatch.protocolVersion.S_SET_SEND_PARCEL_ITEM || 1, { order: 1000, filter: { fake: null } }, event => {
-            const fakeStatus = event.fake ? 'FAKE' : 'REAL';
-            debugLog(`Received ${fakeStatus} S_SET_SEND_PARCEL_ITEM packet: ${JSON.stringify(event, bigIntReplacer)}`);
-            
-            if (mod.settings.logEquipmentToGame || mod.settings.logEquipmentToFile) {
-                // Log to game chat
-                if (mod.settings.logEquipmentToGame) {
-                    try {
-                        command.message(`${fakeStatus} S_SET_SEND_PARCEL_ITEM: Parcel item set`);
-                    } catch (e) {
-                        mod.error(`Failed to log parcel item to chat: ${e.message}`);
-                    }
-                }
-                
-                // Log to file
-                if (mod.settings.logEquipmentToFile && itemSkillLogStream) {
-                    const timestamp = new Date().toISOString();
-                    itemSkillLogStream.write(`${timestamp} | S_SET_SEND_PARCEL_ITEM | Parcel item set\n`);
-                }
+
+    // --- Replay ---
+    let replay = null; // Running replay session
+    let pendingReplay = null; // Loaded replay with server-bound packets, waiting for confirmation
+    let replayLoadId = 0; // Incremented to discard logs that finish loading after a newer pktreplay or an unload
+
+    // Helper function to re-send a replayed packet. Returns false if it can't be sent in this session.
+    function sendReplayPacket(packet) {
+        if (packet.raw) {
+            let data = packet.raw;
+            if (packet.name !== 'UNKNOWN') {
+                // The log may come from another patch, so send the packet with the opcode of its name in this session
+                const opcode = mod.dispatch.protocolMap.name.get(packet.name);
+                if (opcode === undefined) return false;
+                data = withOpcode(packet.raw, opcode);
             }
-            return true;
-        });
-    } catch (e) {
-        mod.warn(`Could not hook S_SET_SEND_PARCEL_ITEM: ${e.message}`);
+            return packet.incoming ? mod.toClient(data) : mod.toServer(data);
+        }
+
+        // Packets from old text logs without a header have no definition version, so use the latest one
+        const version = packet.version || '*';
+        return packet.incoming ? mod.toClient(packet.name, version, packet.event) : mod.toServer(packet.name, version, packet.event);
     }
-    
-    // S_SHOW_TRADE_ITEM - Server showing trade item
-    try {
-        registerHookedPacket('S_SHOW_TRADE_ITEM');
-        mod.hook('S_SHOW_TRADE_ITEM', mod.dispatch.protocolVersion.S_SHOW_TRADE_ITEM || 1, { order: 1000, filter: { fake: null } }, event => {
-            const fakeStatus = event.fake ? 'FAKE' : 'REAL';
-            debugLog(`Received ${fakeStatus} S_SHOW_TRADE_ITEM packet: ${JSON.stringify(event, bigIntReplacer)}`);
-            
-            if (mod.settings.logEquipmentToGame || mod.settings.logEquipmentToFile) {
-                // Get item name if possible
-                let itemName = "Unknown Trade Item";
-                try {
-                    if (mod.game.data && mod.game.data.items) {
-                        const item = mod.game.data.items.get(event.itemId);
-                        if (item && item.name) {
-                            itemName = item.name;
-                        }
-                    }
-                } catch (e) {
-                    mod.warn(`Failed to get item name for ID ${event.itemId}: ${e.message}`);
-                }
 
-                // Log to game chat
-                if (mod.settings.logEquipmentToGame) {
-                    try {
-                        command.message(`${fakeStatus} S_SHOW_TRADE_ITEM: ${itemName} (ID: ${event.itemId})`);
-                    } catch (e) {
-                        mod.error(`Failed to log trade item to chat: ${e.message}`);
-                    }
-                }
-                
-                // Log to file
-                if (mod.settings.logEquipmentToFile && itemSkillLogStream) {
-                    const timestamp = new Date().toISOString();
-                    itemSkillLogStream.write(`${timestamp} | S_SHOW_TRADE_ITEM | ID: ${event.itemId} | Name: ${itemName}\n`);
-                }
+    // Helper function to start replaying loaded packets
+    function startReplay(packets, speed, fileName) {
+        command.message(`Replaying ${packets.length} packets from ${fileName} at ${speed}x speed.`);
+        replay = ReplaySession(packets, {
+            speed,
+            send: sendReplayPacket,
+            onFinish: ({ sent, failed, stopped }) => {
+                replay = null;
+                command.message(`Replay ${stopped ? 'stopped' : 'finished'}: ${sent} packets sent${failed > 0 ? `, ${failed} could not be sent` : ''}.`);
             }
-            return true;
         });
-    } catch (e) {
-        mod.warn(`Could not hook S_SHOW_TRADE_ITEM: ${e.message}`);
     }
-    
-    // S_USE_RIGHT_ITEM - Server using right item
-    registerHookedPacket('S_USE_RIGHT_ITEM');
-    mod.hook('S_USE_RIGHT_ITEM', 1, { order: 1000, filter: { fake: null } }, event => {
-        const fakeStatus = event.fake ? 'FAKE' : 'REAL';
-        debugLog(`Received ${fakeStatus} S_USE_RIGHT_ITEM packet: ${JSON.stringify(event, bigIntReplacer)}`);
-        
-        if (mod.settings.logEquipmentToGame || mod.settings.logEquipmentToFile) {
-            // Log to game chat
-            if (mod.settings.logEquipmentToGame) {
+
+    // --- Command Definition ---
+    command.add('pktlog', (...filterArgs) => {
+        const expressions = filterArgs.filter(arg => arg && arg.trim().length > 0);
+        if (expressions.length > 0) {
+            for (const expression of expressions) {
+                let parsed;
                 try {
-                    command.message(`${fakeStatus} S_USE_RIGHT_ITEM: User ${event.gameId} used right item`);
+                    parsed = parseFilter(expression);
                 } catch (e) {
-                    mod.error(`Failed to log right item use to chat: ${e.message}`);
+                    command.message(e.message);
+                    continue;
+                }
+                const newFilter = parsed.expression;
+
+                // Check if this filter is already in the list
+                const filterIndex = mod.settings.packetFilters.indexOf(newFilter);
+
+                if (filterIndex === -1) {
+                    // Add new filter
+                    mod.settings.packetFilters.push(newFilter);
+                    command.message(`Added packet filter: ${newFilter}`);
+                    if (parsed.fake === true && !parsed.exclude && !mod.settings.logFakePackets) {
+                        command.message('Fake packets are not logged at the moment, use pktlogfake to log them.');
+                    }
+                } else {
+                    // Remove existing filter
+                    mod.settings.packetFilters.splice(filterIndex, 1);
+                    command.message(`Removed packet filter: ${newFilter}`);
                 }
             }
             
-            // Log to file
-            if (mod.settings.logEquipmentToFile && itemSkillLogStream) {
-                const timestamp = new Date().toISOString();
-                itemSkillLogStream.write(`${timestamp} | S_USE_RIGHT_ITEM | GameId: ${event.gameId}\n`);
+            // Show current filters
+            if (mod.settings.packetFilters.length > 0) {
+                command.message(`Current packet filters: ${mod.settings.packetFilters.join(', ')}`);
+            } else {
+                command.message('All packet filters removed.');
             }
+        } else {
+            // Clear all filters
+            mod.settings.packetFilters = [];
+            command.message('All packet filters removed.');
         }
-        return true;
     });
-    
-    // S_START_COOLTIME_ITEM - Server reporting item cooldown start
-    registerHookedPacket('S_START_COOLTIME_ITEM');
-    mod.hook('S_START_COOLTIME_ITEM', 1, { order: 1000, filter: { fake: null } }, event => {
-        const fakeStatus = event.fake ? 'FAKE' : 'REAL';
-        debugLog(`Received ${fakeStatus} S_START_COOLTIME_ITEM packet: ${JSON.stringify(event, bigIntReplacer)}`);
-        
-        if (mod.settings.logEquipmentToGame || mod.settings.logEquipmentToFile) {
-            // Get item name if possible
-            let itemName = "Unknown Item";
+
+    command.add('pktfield', (...args) => {
+        const expression = args.join(' ').trim();
+        if (expression.length > 0) {
+            let newFilter;
             try {
-                if (mod.game.data && mod.game.data.items) {
-                    const item = mod.game.data.items.get(event.itemId);
-                    if (item && item.name) {
-                        itemName = item.name;
-                    }
-                }
+                newFilter = parseFieldFilter(expression).expression;
             } catch (e) {
-                mod.warn(`Failed to get item name for ID ${event.itemId}: ${e.message}`);
+                command.message(e.message);
+                return;
             }
 
-            // Log to game chat
-            if (mod.settings.logEquipmentToGame) {
-                try {
-                    command.message(`${fakeStatus} S_START_COOLTIME_ITEM: ${itemName} (ID: ${event.itemId}) cooldown: ${event.cooldown}ms`);
-                } catch (e) {
-                    mod.error(`Failed to log item cooldown to chat: ${e.message}`);
-                }
+            // Toggle the predicate like pktlog toggles packet filters
+            const filterIndex = mod.settings.fieldFilters.indexOf(newFilter);
+            if (filterIndex === -1) {
+                mod.settings.fieldFilters.push(newFilter);
+                command.message(`Added field filter: ${newFilter}`);
+            } else {
+                mod.settings.fieldFilters.splice(filterIndex, 1);
+                command.message(`Removed field filter: ${newFilter}`);
             }
-            
-            // Log to file
-            if (mod.settings.logEquipmentToFile && itemSkillLogStream) {
-                const timestamp = new Date().toISOString();
-                itemSkillLogStream.write(`${timestamp} | S_START_COOLTIME_ITEM | ID: ${event.itemId} | Name: ${itemName} | Cooldown: ${event.cooldown}ms\n`);
+
+            if (mod.settings.fieldFilters.length > 0) {
+                command.message(`Current field filters: ${mod.settings.fieldFilters.join(', ')}`);
+            } else {
+                command.message('All field filters removed.');
             }
+        } else {
+            // Clear all field filters
+            mod.settings.fieldFilters = [];
+            command.message('All field filters removed.');
         }
-        return true;
     });
 
-    // --- Command Definition ---
-    command.add('pktlog', (filterArg) => {
-        if (filterArg && filterArg.trim().length > 0) {
-            const newFilter = filterArg.trim().toUpperCase();
-            
-            // Check if this filter is already in the list
-            const filterIndex = mod.settings.packetFilters.indexOf(newFilter);
-            
-            if (filterIndex === -1) {
-                // Add new filter
-                mod.settings.packetFilters.push(newFilter);
-                command.message(`Added packet filter: ${newFilter}`);
-            } else {
-                // Remove existing filter
-                mod.settings.packetFilters.splice(filterIndex, 1);
-                command.message(`Removed packet filter: ${newFilter}`);
+    command.add('pktpreset', (action, name) => {
+        const presets = mod.settings.filterPresets;
+        const hasPreset = Object.prototype.hasOwnProperty.call(presets, name);
+
+        switch (action) {
+            case 'save': {
+                if (!name || !/^[\w-]+$/.test(name) || name === '__proto__') {
+                    command.message('Usage: pktpreset save <name> (letters, digits, _ and - only)');
+                    return;
+                }
+                const preset = {};
+                for (const key of PRESET_SETTINGS) {
+                    // Copy arrays so later filter changes don't modify the saved preset
+                    preset[key] = Array.isArray(mod.settings[key]) ? mod.settings[key].slice() : mod.settings[key];
+                }
+                presets[name] = preset;
+                command.message(`${hasPreset ? 'Updated' : 'Saved'} preset ${name}.`);
+                break;
             }
-            
-            // Show current filters
-            if (mod.settings.packetFilters.length > 0) {
-                command.message(`Current packet filters: ${mod.settings.packetFilters.join(', ')}`);
-            } else {
-                command.message('All packet filters removed.');
+            case 'load': {
+                if (!hasPreset) {
+                    command.message(`Unknown preset: ${name}`);
+                    return;
+                }
+                const preset = presets[name];
+                for (const key of PRESET_SETTINGS) {
+                    // Presets saved by older versions may not contain every setting
+                    if (preset[key] !== undefined) {
+                        mod.settings[key] = Array.isArray(preset[key]) ? preset[key].slice() : preset[key];
+                    }
+                }
+                command.message(`Loaded preset ${name}.`);
+                command.message(`Packet filters: ${mod.settings.packetFilters.join(', ') || 'none'} | Field filters: ${mod.settings.fieldFilters.join(', ') || 'none'}`);
+                break;
             }
-        } else {
-            // Clear all filters
-            mod.settings.packetFilters = [];
-            command.message('All packet filters removed.');
+            case 'delete': {
+                if (!hasPreset) {
+                    command.message(`Unknown preset: ${name}`);
+                    return;
+                }
+                delete presets[name];
+                command.message(`Deleted preset ${name}.`);
+                break;
+            }
+            case 'list':
+            case undefined: {
+                const names = Object.keys(presets);
+                if (names.length === 0) {
+                    command.message('No presets saved.');
+                    return;
+                }
+                command.message(`Saved presets: ${names.join(', ')}`);
+                break;
+            }
+            default:
+                command.message('Usage: pktpreset [save|load|delete|list] <name>');
+                break;
         }
     });
 
@@ -1254,17 +1654,567 @@ module.exports = function PacketLogger(mod) {
         command.message(`Logging only hooked packets ${mod.settings.logOnlyHookedPackets ? 'enabled' : 'disabled'}.`);
     });
 
+    command.add('pktlogdiff', () => {
+        mod.settings.logModifiedPackets = !mod.settings.logModifiedPackets;
+        command.message(`Logging of packets modified by other mods ${mod.settings.logModifiedPackets ? 'enabled' : 'disabled'}.`);
+    });
+
+    command.add('pktlogblocked', () => {
+        mod.settings.logBlockedPackets = !mod.settings.logBlockedPackets;
+        command.message(`Logging of packets blocked by other mods ${mod.settings.logBlockedPackets ? 'enabled' : 'disabled'}.`);
+    });
+
+    command.add('pktblocked', (countArg) => {
+        if (blockedCounts.size === 0) {
+            command.message('No blocked packets in this session.');
+            return;
+        }
+
+        const count = parseInt(countArg, 10) > 0 ? parseInt(countArg, 10) : 10;
+        const top = [...blockedCounts.entries()].sort((a, b) => b[1] - a[1]).slice(0, count);
+        const total = [...blockedCounts.values()].reduce((sum, value) => sum + value, 0);
+
+        command.message(`Most blocked packets this session (${total} total):`);
+        top.forEach(([name, blocked], index) => command.message(`${index + 1}. ${name}: ${blocked}`));
+    });
+
+    command.add('pktlogformat', (format) => {
+        if (format && format.trim().length > 0) {
+            const newFormat = format.trim().toLowerCase();
+            if (!PACKET_LOG_FORMATS.includes(newFormat)) {
+                command.message(`Unknown packet log format: ${newFormat}. Available formats: ${PACKET_LOG_FORMATS.join(', ')}`);
+                return;
+            }
+            mod.settings.packetLogFormat = newFormat;
+        } else {
+            // Toggle between text and JSON Lines
+            mod.settings.packetLogFormat = mod.settings.packetLogFormat === 'jsonl' ? 'text' : 'jsonl';
+        }
+        command.message(`Packet log format set to ${mod.settings.packetLogFormat}.`);
+    });
+
+    command.add('pktlogrotate', () => {
+        if (!logStream || !itemSkillLogStream) {
+            command.message('File logging is not available.');
+            return;
+        }
+        logStream.rotate();
+        itemSkillLogStream.rotate();
+        command.message(`Log files rotated. Now writing to ${path.basename(logStream.path)} and ${path.basename(itemSkillLogStream.path)}.`);
+    });
+
+    command.add('pktlimit', (...args) => {
+        if (args.length === 0) {
+            const limits = mod.settings.packetLimits;
+            command.message(limits.length > 0 ? `Current packet limits: ${limits.join(', ')}` : 'No packet limits set.');
+            command.message(`Held back this session: ${suppressedTotals.packets + sumCounts(suppressedPackets)} packets, ${suppressedTotals.chat + sumCounts(suppressedChat)} chat messages.`);
+            return;
+        }
+        if (args.length === 1 && args[0] === 'clear') {
+            mod.settings.packetLimits = [];
+            command.message('All packet limits removed.');
+            return;
+        }
+
+        // "<packet> off" removes the rule for that packet and direction, anything else adds or replaces one
+        const removing = args.length === 2 && args[1] === 'off';
+        let rule;
+        try {
+            rule = parsePacketLimit(removing ? `${args[0]} 1/1` : args.join(' '));
+        } catch (e) {
+            command.message(e.message);
+            command.message('Usage: pktlimit [[c:|s:]PACKET_NAME <N>/s 1/<N> | [c:|s:]PACKET_NAME off | clear]');
+            return;
+        }
+
+        const limits = mod.settings.packetLimits.filter(expression => {
+            try {
+                return parsePacketLimit(expression).key !== rule.key;
+            } catch (e) {
+                return true;
+            }
+        });
+        if (removing) {
+            command.message(limits.length < mod.settings.packetLimits.length ? `Removed packet limit for ${rule.key}.` : `No packet limit for ${rule.key}.`);
+        } else {
+            limits.push(rule.expression);
+            command.message(`Packet limit set: ${rule.expression}`);
+        }
+        mod.settings.packetLimits = limits;
+    });
+
+    command.add('pktchat', (option, value) => {
+        switch (option) {
+            case 'self':
+                mod.settings.chatSelfOnly = !mod.settings.chatSelfOnly;
+                command.message(`Item/skill/equipment chat messages ${mod.settings.chatSelfOnly ? 'only for your own actions' : 'for everyone'}.`);
+                return;
+            case 'rate':
+            case 'repeat': {
+                const number = parseInt(value, 10);
+                if (!(number >= 0)) {
+                    command.message(`Usage: pktchat ${option} <${option === 'rate' ? 'messages per second' : 'seconds'}> (0 = disabled)`);
+                    return;
+                }
+                mod.settings[option === 'rate' ? 'chatMaxMessagesPerSecond' : 'chatAggregateSeconds'] = number;
+                break;
+            }
+            case undefined:
+                break;
+            default:
+                command.message('Usage: pktchat [self | rate <messages per second> | repeat <seconds>]');
+                return;
+        }
+
+        const stats = chatThrottle.stats;
+        command.message(`Chat: ${mod.settings.chatSelfOnly ? 'own actions only' : 'everyone'}, at most ${mod.settings.chatMaxMessagesPerSecond || 'unlimited'} messages per second, repeats collapsed for ${mod.settings.chatAggregateSeconds || 'no'} seconds.`);
+        command.message(`This session: ${stats.shown} shown, ${stats.collapsed} collapsed repeats, ${stats.skipped} skipped.`);
+    });
+
+    command.add('invdiff', (action, name) => {
+        switch (action) {
+            case 'mark': {
+                const markerName = name || 'mark';
+                if (!inventory.loaded) {
+                    command.message('The inventory is not known yet.');
+                    return;
+                }
+                inventory.mark(markerName);
+                inventoryMarker = markerName;
+                command.message(`Inventory marker ${markerName} set. Use invdiff to see what changed since.`);
+                return;
+            }
+            case 'list': {
+                const markers = inventory.markers;
+                command.message(markers.length > 0 ? `Inventory markers: ${markers.map(marker => `${marker.name} (${new Date(marker.time).toLocaleTimeString()})`).join(', ')}` : 'No inventory markers yet.');
+                return;
+            }
+            case 'file':
+                mod.settings.logInventory = !mod.settings.logInventory;
+                command.message(`Inventory change log ${mod.settings.logInventory ? 'enabled' : 'disabled'}.`);
+                return;
+        }
+
+        // "invdiff" compares with the latest marker, "invdiff <name>" with another one
+        const markerName = action || inventoryMarker;
+        const changes = inventory.diffSince(markerName);
+        if (!changes) {
+            command.message(inventory.loaded ? `Unknown inventory marker: ${markerName}. Usage: invdiff [name] | mark [name] | list | file` : 'The inventory is not known yet.');
+            return;
+        }
+
+        const lines = describeInventoryChanges(changes);
+        const minutes = Math.round((Date.now() - changes.since) / 60000);
+        command.message(`Inventory changes since ${markerName} (${new Date(changes.since).toLocaleTimeString()}, ${minutes} min ago)${lines.length === 0 ? ': none' : ':'}`);
+        lines.slice(0, 15).forEach(line => command.message(line));
+        if (lines.length > 15) {
+            command.message(`... and ${lines.length - 15} more.`);
+        }
+    });
+
+    // Helper function to name the owner of an equipped item, e.g. "Slot 1", "Servant 12" or "Pet 3"
+    function describeEquipmentOwner(owner, slot) {
+        return owner === 'character' ? `Slot ${slot}` : owner.charAt(0).toUpperCase() + owner.slice(1);
+    }
+
+    // Helper function to list the items of an equipment snapshot as text, one line each
+    function describeLoadout(snapshot) {
+        const lines = snapshot.character.map(item => `${describeEquipmentOwner('character', item.slot)}: ${describeItem(item)}`);
+        for (const [kind, field] of [['servant', 'servants'], ['pet', 'pets']]) {
+            for (const key of Object.keys(snapshot[field])) {
+                snapshot[field][key].forEach(item => lines.push(`${describeEquipmentOwner(`${kind} ${key}`)}: ${describeItem(item)}`));
+            }
+        }
+        return lines;
+    }
+
+    command.add('equipdiff', (action, other) => {
+        const usage = 'Usage: equipdiff [snapshot] [snapshot] | list | show [snapshot] | file';
+        const label = snapshot => (snapshot.number !== null ? `#${snapshot.number}` : 'now');
+        const snapshots = equipment.snapshots;
+
+        switch (action) {
+            case 'list':
+                command.message(snapshots.length > 0 ? `Equipment snapshots: ${snapshots.map(snapshot => `#${snapshot.number} ${new Date(snapshot.time).toLocaleTimeString()} (${snapshot.reason})`).join(', ')}` : 'No equipment snapshots yet.');
+                return;
+            case 'show': {
+                const snapshot = other !== undefined ? equipment.get(parseInt(other, 10)) : equipment.current();
+                if (!snapshot) {
+                    command.message(`Unknown equipment snapshot: ${other}. ${usage}`);
+                    return;
+                }
+                const lines = describeLoadout(snapshot);
+                command.message(`Equipment ${label(snapshot)}${lines.length === 0 ? ': nothing known yet' : ':'}`);
+                lines.forEach(line => command.message(line));
+                return;
+            }
+            case 'file':
+                mod.settings.logEquipmentSnapshots = !mod.settings.logEquipmentSnapshots;
+                command.message(`Equipment snapshot file ${mod.settings.logEquipmentSnapshots ? 'enabled' : 'disabled'}.`);
+                return;
+        }
+
+        // "equipdiff" compares the last two snapshots, "equipdiff <a>" a snapshot with the current equipment and
+        // "equipdiff <a> <b>" two snapshots
+        let from;
+        let to;
+        if (action === undefined) {
+            if (snapshots.length < 2) {
+                command.message('There are no two equipment snapshots to compare yet. Use equipdiff list to see them.');
+                return;
+            }
+            from = snapshots[snapshots.length - 2];
+            to = snapshots[snapshots.length - 1];
+        } else {
+            from = equipment.get(parseInt(action, 10));
+            to = other !== undefined ? equipment.get(parseInt(other, 10)) : equipment.current();
+            if (!from || !to) {
+                command.message(`Unknown equipment snapshot: ${!from ? action : other}. ${usage}`);
+                return;
+            }
+        }
+
+        const changes = equipment.diff(from, to);
+        command.message(`Equipment changes from ${label(from)} to ${label(to)}${changes.length === 0 ? ': none' : ':'}`);
+        changes.slice(0, 15).forEach(change => {
+            command.message(`${describeEquipmentOwner(change.owner, change.slot)}: ${change.before ? describeItem(change.before) : 'empty'} -> ${change.after ? describeItem(change.after) : 'empty'}`);
+        });
+        if (changes.length > 15) {
+            command.message(`... and ${changes.length - 15} more.`);
+        }
+    });
+
+    command.add('pktqueue', (overflow) => {
+        if (!logStream) {
+            command.message('File logging is not available.');
+            return;
+        }
+        if (overflow !== undefined) {
+            if (!OVERFLOW_POLICIES.includes(overflow)) {
+                command.message(`Unknown overflow policy: ${overflow}. Available policies: ${OVERFLOW_POLICIES.join(', ')}`);
+                return;
+            }
+            mod.settings.logQueueOverflow = overflow;
+        }
+
+        const stats = logStream.stats;
+        command.message(`Packet log queue: ${stats.queued} queued (peak ${stats.peak} of ${mod.settings.logQueueMaxRecords || 'unlimited'}), ${stats.written} written, ${stats.dropped} dropped. Overflow policy: ${mod.settings.logQueueOverflow}.`);
+    });
+
+    command.add('pktlogcompress', () => {
+        mod.settings.compressClosedLogs = !mod.settings.compressClosedLogs;
+        command.message(`Compression of closed log files ${mod.settings.compressClosedLogs ? 'enabled' : 'disabled'}.`);
+    });
+
+    command.add('pktreplay', (action, ...args) => {
+        switch (action) {
+            case 'stop':
+                replayLoadId++;
+                pendingReplay = null;
+                if (!replay) {
+                    command.message('No replay is running.');
+                    return;
+                }
+                replay.stop();
+                return;
+            case 'status': {
+                if (!replay) {
+                    command.message(pendingReplay ? 'A replay is waiting for confirmation.' : 'No replay is running.');
+                    return;
+                }
+                const { index, total, failed } = replay.progress;
+                command.message(`Replay progress: ${index}/${total} packets${failed > 0 ? `, ${failed} could not be sent` : ''}.`);
+                return;
+            }
+            case 'confirm': {
+                if (!pendingReplay || args[0] !== pendingReplay.code) {
+                    command.message('Nothing to confirm, or wrong confirmation code.');
+                    return;
+                }
+                const { packets, speed, fileName } = pendingReplay;
+                pendingReplay = null;
+                startReplay(packets, speed, fileName);
+                return;
+            }
+            case undefined:
+                command.message('Usage: pktreplay <file> [speed=<x>] [from=<time>] [to=<time>] [filter ...] | confirm <code> | status | stop');
+                return;
+        }
+
+        if (replay) {
+            command.message('A replay is already running. Stop it first with: pktreplay stop');
+            return;
+        }
+
+        // Everything after the file name is an option or a packet filter
+        const selection = { filters: [], since: null, until: null };
+        let speed = 1;
+        for (const arg of args) {
+            const option = /^(speed|from|to)=(.+)$/.exec(arg);
+            if (!option) {
+                try {
+                    selection.filters.push(parseFilter(arg).expression);
+                } catch (e) {
+                    command.message(e.message);
+                    return;
+                }
+                continue;
+            }
+
+            if (option[1] === 'speed') {
+                speed = parseFloat(option[2]);
+                if (!(speed > 0)) {
+                    command.message(`Invalid speed: ${option[2]}`);
+                    return;
+                }
+                continue;
+            }
+
+            const bound = parseReplayTime(option[2]);
+            if (!bound) {
+                command.message(`Invalid time: ${option[2]} (use seconds from the start of the log or a timestamp)`);
+                return;
+            }
+            selection[option[1] === 'from' ? 'since' : 'until'] = bound;
+        }
+
+        const fileName = path.basename(action);
+        const loadId = ++replayLoadId;
+        pendingReplay = null;
+        loadReplayPackets(path.resolve(logDir, action), selection).then(({ packets, truncated, header }) => {
+            if (loadId !== replayLoadId || replay) return;
+            if (packets.length === 0) {
+                command.message(`No packets to replay in ${fileName}.`);
+                return;
+            }
+            if (truncated) {
+                command.message(`Only the first ${packets.length} packets of ${fileName} are replayed.`);
+            }
+            if (header && header.protocolVersion !== null && `${header.protocolVersion}` !== `${mod.dispatch.protocolVersion}`) {
+                command.message(`Note: ${fileName} was recorded with protocol version ${header.protocolVersion}, this session uses ${mod.dispatch.protocolVersion}.`);
+            }
+
+            // Recorded packets sent to the server can get the character disconnected or worse, so ask first
+            const serverBound = packets.filter(packet => !packet.incoming).length;
+            if (serverBound > 0) {
+                const code = `${Math.floor(1000 + Math.random() * 9000)}`;
+                pendingReplay = { packets, speed, fileName, code };
+                command.message(`WARNING: ${serverBound} of the ${packets.length} selected packets would be sent to the server.`);
+                command.message('Replaying client packets can get you disconnected or banned. Add the filter s:* to replay server packets only.');
+                command.message(`To send them anyway, type: pktreplay confirm ${code}`);
+                return;
+            }
+            startReplay(packets, speed, fileName);
+        }).catch(e => {
+            command.message(`Failed to load ${fileName}: ${e.message}`);
+        });
+    });
+
+    command.add('pktentity', (query) => {
+        if (!query) {
+            const me = entities.find().find(entity => entity.me);
+            command.message(`Tracking ${entities.size} entities, party of ${entities.partySize}.${me ? ` Me: ${entities.annotate(me.gameId)}` : ''}`);
+            command.message('Usage: pktentity <gameId|name|huntingZoneId:templateId> | party | players | npcs');
+            return;
+        }
+
+        let found;
+        switch (query) {
+            case 'party':
+                found = entities.find().filter(entity => entity.me || entities.isInParty(entity));
+                break;
+            case 'players':
+                found = entities.find().filter(entity => entity.kind === 'user');
+                break;
+            case 'npcs':
+                found = entities.find().filter(entity => entity.kind === 'npc');
+                break;
+            default:
+                found = entities.find(query);
+                break;
+        }
+
+        if (found.length === 0) {
+            command.message(`No entity matches ${query}.`);
+            return;
+        }
+        found.slice(0, 10).forEach(entity => command.message(entities.annotate(entity.gameId)));
+        if (found.length > 10) {
+            command.message(`... and ${found.length - 10} more.`);
+        }
+    });
+
+    command.add('pktlogzone', () => {
+        mod.settings.splitLogsOnZoneChange = !mod.settings.splitLogsOnZoneChange;
+        command.message(`New log files on zone change ${mod.settings.splitLogsOnZoneChange ? 'enabled' : 'disabled'}.`);
+    });
+
+    command.add('pkthooks', (filter) => {
+        if (filter !== undefined && filter !== 'failed') {
+            command.message('Usage: pkthooks [failed]');
+            return;
+        }
+
+        const names = [...hookStatus.keys()].sort();
+        let failed = 0;
+        for (const name of names) {
+            const hooks = hookStatus.get(name);
+            const failedHooks = hooks.filter(hook => hook.version === null);
+            failed += failedHooks.length > 0 ? 1 : 0;
+            if (filter === 'failed' && failedHooks.length === 0) continue;
+
+            // Group the purposes by the version they were hooked with, e.g. "v14 (skill timeline, skill statistics)"
+            const byVersion = new Map();
+            for (const hook of hooks.filter(hook => hook.version !== null)) {
+                const version = hook.failures.length > 0 ? `v${hook.version} fallback` : `v${hook.version}`;
+                byVersion.set(version, (byVersion.get(version) || []).concat(hook.purpose));
+            }
+            const parts = [...byVersion].map(([version, purposes]) => `${version} (${purposes.join(', ')})`);
+            parts.push(...failedHooks.map(hook => `FAILED (${hook.purpose}): ${hook.failures.join('; ')}`));
+            command.message(`${name}: ${parts.join(' | ')}`);
+        }
+        command.message(`${names.length} packets hooked by name, ${failed} with failed hooks (protocol ${mod.dispatch.protocolVersion}).`);
+    });
+
+    command.add('pktencounter', (arg) => {
+        if (arg === 'file') {
+            mod.settings.logEncounters = !mod.settings.logEncounters;
+            command.message(`Encounter logging ${mod.settings.logEncounters ? 'enabled' : 'disabled'}.`);
+            return;
+        }
+        if (arg !== undefined && !(parseInt(arg, 10) > 0)) {
+            command.message('Usage: pktencounter [count] | file');
+            return;
+        }
+
+        const current = encounters.current;
+        if (current) {
+            const bosses = current.bosses.length > 0 ? `, bosses: ${describeBosses(current)}` : '';
+            command.message(`Encounter ${current.id} running for ${Math.round((Date.now() - current.startedAt) / 1000)}s, started by ${current.startReason}${bosses}`);
+        } else {
+            command.message('No encounter running.');
+        }
+
+        const finished = encounters.history().slice(-(parseInt(arg, 10) || 5)).reverse();
+        finished.forEach(encounter => {
+            const bosses = encounter.bosses.length > 0 ? ` | ${describeBosses(encounter)}` : '';
+            command.message(`${encounter.id}. ${new Date(encounter.startedAt).toLocaleTimeString()} for ${Math.round(encounter.duration)}s, ${encounter.startReason} -> ${encounter.endReason}${bosses}`);
+        });
+    });
+
+    command.add('skillstats', (...args) => {
+        if (args[0] === 'reset') {
+            clearTimeout(skillStatsTimer);
+            skillStatsTimer = null;
+            skillStats.reset();
+            command.message('Skill statistics reset.');
+            return;
+        }
+        if (args[0] === 'file') {
+            mod.settings.logSkillStats = !mod.settings.logSkillStats;
+            command.message(`Encounter reports ${mod.settings.logSkillStats ? 'enabled' : 'disabled'}.`);
+            return;
+        }
+
+        // Arguments in any order: in/out, skills/targets and the number of entries
+        const direction = args.includes('in') ? 'in' : 'out';
+        const byEntity = args.includes('targets') || args.includes('sources');
+        const count = parseInt(args.find(arg => /^\d+$/.test(arg)), 10) || 5;
+        if (args.some(arg => !['in', 'out', 'skills', 'targets', 'sources'].includes(arg) && !/^\d+$/.test(arg))) {
+            command.message('Usage: skillstats [in|out] [skills|targets] [count] | reset | file');
+            return;
+        }
+
+        if (skillStats.startedAt === null) {
+            command.message('No skill results in the current encounter.');
+            return;
+        }
+
+        nameSkills(skillStats.summary(direction)).then(summary => {
+            const seconds = Math.round((skillStats.lastResultAt - skillStats.startedAt) / 1000);
+            const windowInfo = mod.settings.skillStatsWindowSeconds > 0 ? `last ${mod.settings.skillStatsWindowSeconds}s` : 'encounter';
+            command.message(`${direction === 'out' ? 'Dealt' : 'Received'} in ${seconds}s: ${formatAmount(summary.damage)} damage (${formatAmount(summary.dps)} DPS ${windowInfo}, ${formatAmount(summary.averageDps)} average), ${formatAmount(summary.heal)} healing, ${summary.hits} hits, ${Math.round(summary.critRate * 100)}% crit`);
+
+            const entries = byEntity ? summary.entities : summary.skills;
+            entries.slice(0, count).forEach((entry, index) => {
+                const label = byEntity ? `${direction === 'out' ? 'Target' : 'Source'} ${entities.annotate(entry.entity)}` : entry.name;
+                const share = summary.damage > 0 ? ` (${Math.round(entry.damage / summary.damage * 100)}%)` : '';
+                command.message(`${index + 1}. ${label}: ${formatAmount(entry.damage)}${share} damage, ${formatAmount(entry.heal)} healing, ${entry.hits} hits, ${Math.round(entry.critRate * 100)}% crit`);
+            });
+        });
+    });
+
+    command.add('skilltimeline', () => {
+        mod.settings.logSkillTimeline = !mod.settings.logSkillTimeline;
+        command.message(`Skill timeline ${mod.settings.logSkillTimeline ? 'enabled' : 'disabled'}.`);
+    });
+
+    command.add('pktstats', (arg, sortKey) => {
+        if (arg === 'reset') {
+            packetStats.reset();
+            command.message('Packet statistics reset.');
+            return;
+        }
+
+        const count = parseInt(arg, 10) > 0 ? parseInt(arg, 10) : 10;
+        const sort = sortKey || (arg && !/^\d+$/.test(arg) ? arg : 'count');
+        if (!PacketStats.SORT_KEYS.includes(sort)) {
+            command.message(`Usage: pktstats [n] [${PacketStats.SORT_KEYS.join('|')}] | reset`);
+            return;
+        }
+
+        const totals = packetStats.totals();
+        if (totals.count === 0) {
+            command.message('No packets seen yet.');
+            return;
+        }
+
+        command.message(`${totals.count} packets (${totals.fakeCount} fake), ${formatBytes(totals.bytes)} in ${Math.round(totals.seconds)}s | Last minute: ${totals.recentRatePerSecond.toFixed(1)}/s, ${formatBytes(totals.recentBytesPerSecond)}/s`);
+        packetStats.top(count, sort).forEach((entry, index) => {
+            const fakeInfo = entry.fakeCount > 0 ? ` | ${entry.fakeCount} fake` : '';
+            command.message(`${index + 1}. ${entry.name} (${entry.direction}, ${entry.code}): ${entry.count} (${entry.ratePerSecond.toFixed(2)}/s), ${formatBytes(entry.bytes)}, size ${entry.min}-${entry.max} avg ${Math.round(entry.avg)}${fakeInfo}`);
+        });
+    });
+
     // --- Cleanup ---
     this.destructor = () => {
+        clearInterval(suppressedTimer);
+        clearInterval(rotationTimer);
+        reportSuppressed();
+        // Chat messages still waiting for a name are shown before the throttle shows what it held back
+        queueItemSkillOutput(null, () => chatThrottle.stop());
+        writePacketStats();
+        // Pending inventory changes still belong to the running encounter, and to the item/skill log before its footer
+        reportInventoryChanges();
+        takeEquipmentSnapshot();
+        encounters.end('unloaded');
+        replayLoadId++;
+        pendingReplay = null;
+        if (replay) {
+            replay.stop();
+        }
         if (logStream) {
+            // Write out the queue first, so the footer counts every line
+            logStream.flush();
+            writeLogFooter(logStream, 'packets', { dropped: logStream.stats.dropped, suppressed: suppressedTotals.packets });
             logStream.end();
             mod.log('Packet log stream closed.');
         }
-        if (itemSkillLogStream) {
+        // The footer follows the lines still waiting for their names
+        const itemSkillClosed = !itemSkillLogStream ? null : queueItemSkillOutput(null, () => {
+            writeLogFooter(itemSkillLogStream, 'item_skill_log');
             itemSkillLogStream.end();
             mod.log('Item/Skill log stream closed.');
-        }
+        });
+        // Casts still running are written without an end, once their names are resolved
+        skillTimeline.flush();
+        finishSkillStatsEncounter();
+        // The session index lists the deferred files once their last lines are written
+        const closing = [skillTimelineLog, skillStatsLog, encounterLog, equipmentLog].filter(log => log).map(log => log.end());
+        finishSessionIndex(closing.concat(itemSkillClosed || []));
         command.remove('pktlog');
+        command.remove('pktfield');
+        command.remove('pktpreset');
         command.remove('pktlogfake');
         command.remove('pktloggame');
         command.remove('pktlogfile');
@@ -1274,5 +2224,24 @@ module.exports = function PacketLogger(mod) {
         command.remove('equipfile');
         command.remove('pktdebug');
         command.remove('pkthookedonly');
+        command.remove('pktlogformat');
+        command.remove('pktlogdiff');
+        command.remove('pktlogblocked');
+        command.remove('pktblocked');
+        command.remove('pktlogrotate');
+        command.remove('pktlogcompress');
+        command.remove('pktreplay');
+        command.remove('pktstats');
+        command.remove('skilltimeline');
+        command.remove('skillstats');
+        command.remove('pktentity');
+        command.remove('pktencounter');
+        command.remove('pktlogzone');
+        command.remove('pkthooks');
+        command.remove('pktqueue');
+        command.remove('pktlimit');
+        command.remove('pktchat');
+        command.remove('invdiff');
+        command.remove('equipdiff');
     };
 };
\ No newline at end of file
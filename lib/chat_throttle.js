@@ -0,0 +1,113 @@
+'use strict';
+
+// Throttling of chat messages, so crowded zones don't make the chat unreadable:
+//
+//   Aggregation - A message identical to one shown less than `aggregateSeconds` ago isn't shown again. The repeats
+//                 are counted and shown as a single line ending in "(x<repeats>)" once the period is over.
+//   Budget      - At most `maxPerSecond` lines are shown per second. The others are counted, and the next second
+//                 starts with a line telling how many were skipped.
+//
+// options:
+//   send      - Function showing a line in chat
+//   getLimits - Function returning the current { maxPerSecond, aggregateSeconds } (0 disables either)
+function ChatThrottle(options) {
+    const recent = new Map(); // Message -> { shownAt, repeats }, oldest first
+    let second = null;
+    let shownInSecond = 0;
+    let skipped = 0; // Lines over the budget since the last report
+    let timer = null;
+    const stats = { shown: 0, collapsed: 0, skipped: 0 };
+
+    function show(text, time) {
+        const currentSecond = Math.floor(time / 1000);
+        if (currentSecond !== second) {
+            second = currentSecond;
+            shownInSecond = 0;
+            reportSkipped();
+        }
+
+        const { maxPerSecond } = options.getLimits();
+        if (maxPerSecond > 0 && shownInSecond >= maxPerSecond) {
+            skipped++;
+            stats.skipped++;
+            schedule();
+            return;
+        }
+        shownInSecond++;
+        stats.shown++;
+        options.send(text);
+    }
+
+    function reportSkipped() {
+        if (skipped === 0) return;
+        options.send(`(${skipped} chat message${skipped === 1 ? '' : 's'} skipped)`);
+        skipped = 0;
+    }
+
+    // Show the repeats of a message collected during its aggregation period
+    function showRepeats(text, entry, time) {
+        recent.delete(text);
+        if (entry.repeats > 0) show(`${text} (x${entry.repeats})`, time);
+    }
+
+    // Show what is due: repeats whose period is over, and the number of skipped lines once a new second started
+    function flush(time) {
+        const periodMs = options.getLimits().aggregateSeconds * 1000;
+        for (const [text, entry] of [...recent]) {
+            if (time - entry.shownAt < periodMs) break; // The others started later
+            showRepeats(text, entry, time);
+        }
+        if (Math.floor(time / 1000) !== second) {
+            second = Math.floor(time / 1000);
+            shownInSecond = 0;
+            reportSkipped();
+        }
+        schedule();
+    }
+
+    function schedule() {
+        if (timer || (recent.size === 0 && skipped === 0)) return;
+        timer = setTimeout(() => {
+            timer = null;
+            flush(Date.now());
+        }, 1000);
+    }
+
+    function message(text, time = Date.now()) {
+        const { aggregateSeconds } = options.getLimits();
+        const entry = recent.get(text);
+        if (entry) {
+            if (aggregateSeconds > 0 && time - entry.shownAt < aggregateSeconds * 1000) {
+                entry.repeats++;
+                stats.collapsed++;
+                return;
+            }
+            showRepeats(text, entry, time);
+        }
+
+        if (aggregateSeconds > 0) {
+            recent.set(text, { shownAt: time, repeats: 0 });
+            schedule();
+        }
+        show(text, time);
+    }
+
+    // Show everything still pending regardless of the budget, e.g. when the mod is unloaded
+    function stop() {
+        clearTimeout(timer);
+        timer = null;
+        reportSkipped();
+        for (const [text, entry] of recent) {
+            if (entry.repeats > 0) options.send(`${text} (x${entry.repeats})`);
+        }
+        recent.clear();
+    }
+
+    return {
+        message,
+        stop,
+        get stats() { return Object.assign({}, stats); }
+    };
+}
+
+module.exports = ChatThrottle;
@@ -0,0 +1,158 @@
+'use strict';
+
+// Splits a session into encounters (fights), from the packets that mark their boundaries:
+//
+//   S_USER_STATUS    - The local player entering combat starts an encounter, leaving combat ends it
+//   S_BOSS_GAGE_INFO - A boss health bar adds the boss to the current encounter, or starts one while in combat (e.g.
+//                      the next boss after a kill); outside of combat it is ignored, so walking past a boss or the
+//                      health bars after a wipe don't open an encounter
+//   S_DESPAWN_NPC    - A boss dying (despawn type 5) ends the encounter once every boss in it is dead
+//   S_LOAD_TOPO      - A zone change ends the encounter
+//
+// Encounters are numbered from 1 in each session and passed to onStart/onEnd as:
+//   { id, startedAt, endedAt, duration, startReason, endReason, zone, bosses: [{ gameId, huntingZoneId, templateId, label, killed }] }
+// with times in milliseconds and the duration in seconds. Only fields that are stable across definition versions are
+// used, so the packets are hooked with their latest version.
+
+const PACKETS = ['S_USER_STATUS', 'S_BOSS_GAGE_INFO', 'S_DESPAWN_NPC', 'S_LOAD_TOPO'];
+
+// S_USER_STATUS status of a player in combat
+const STATUS_COMBAT = 1;
+
+// S_DESPAWN_NPC type of an NPC that died
+const DESPAWN_DEATH = 5;
+
+// Number of finished encounters kept for history()
+const MAX_HISTORY = 100;
+
+// options:
+//   isMe    - Function telling whether a gameId belongs to the local player
+//   labelOf - Optional function returning a description of a boss' gameId, stored when the boss is first seen
+//   onStart - Called with (encounter, triggerName) when an encounter starts
+//   onEnd   - Called with (encounter, triggerName) when an encounter ends; triggerName is null if ended by end()
+function EncounterTracker(options) {
+    let nextId = 1;
+    let current = null;
+    let inCombat = false;
+    let zone = null;
+    const finished = [];
+
+    function describe(encounter) {
+        const endedAt = encounter.endedAt;
+        return {
+            id: encounter.id,
+            startedAt: encounter.startedAt,
+            endedAt,
+            duration: endedAt === null ? null : (endedAt - encounter.startedAt) / 1000,
+            startReason: encounter.startReason,
+            endReason: encounter.endReason,
+            zone: encounter.zone,
+            bosses: [...encounter.bosses.values()].map(boss => Object.assign({}, boss))
+        };
+    }
+
+    function start(reason, trigger, time) {
+        current = { id: nextId++, startedAt: time, endedAt: null, startReason: reason, endReason: null, zone, bosses: new Map() };
+        if (options.onStart) options.onStart(describe(current), trigger);
+    }
+
+    function finish(reason, trigger, time) {
+        if (!current) return;
+
+        current.endedAt = time;
+        current.endReason = reason;
+        const encounter = describe(current);
+        current = null;
+
+        finished.push(encounter);
+        if (finished.length > MAX_HISTORY) finished.shift();
+        if (options.onEnd) options.onEnd(encounter, trigger);
+    }
+
+    function addBoss(event) {
+        const key = `${event.id}`;
+        if (current.bosses.has(key)) return current.bosses.get(key);
+
+        const boss = {
+            gameId: event.id,
+            huntingZoneId: event.huntingZoneId,
+            templateId: event.templateId,
+            label: options.labelOf ? options.labelOf(event.id) : null,
+            killed: false
+        };
+        current.bosses.set(key, boss);
+        return boss;
+    }
+
+    function killBoss(boss, trigger, time) {
+        boss.killed = true;
+        if ([...current.bosses.values()].every(other => other.killed)) {
+            finish('boss killed', trigger, time);
+        }
+    }
+
+    function handle(name, event, time = Date.now()) {
+        switch (name) {
+            case 'S_USER_STATUS': {
+                if (!options.isMe(event.gameId)) return;
+
+                const combat = event.status === STATUS_COMBAT;
+                if (combat === inCombat) return;
+                inCombat = combat;
+
+                if (combat && !current) {
+                    start('combat', name, time);
+                } else if (!combat) {
+                    finish('combat ended', name, time);
+                }
+                break;
+            }
+            case 'S_BOSS_GAGE_INFO': {
+                // Health is a BigInt in newer definitions
+                const alive = Number(event.curHp) > 0;
+                if (!current) {
+                    if (!alive || !inCombat) return;
+                    start('boss', name, time);
+                }
+
+                const boss = addBoss(event);
+                if (!alive && !boss.killed) killBoss(boss, name, time);
+                break;
+            }
+            case 'S_DESPAWN_NPC': {
+                if (!current || event.type !== DESPAWN_DEATH) return;
+
+                const boss = current.bosses.get(`${event.gameId}`);
+                if (boss && !boss.killed) killBoss(boss, name, time);
+                break;
+            }
+            case 'S_LOAD_TOPO':
+                finish('zone changed', name, time);
+                inCombat = false;
+                zone = event.zone;
+                break;
+        }
+    }
+
+    // End the current encounter without a packet, e.g. when the mod is unloaded
+    function end(reason, time = Date.now()) {
+        finish(reason, null, time);
+    }
+
+    // The finished encounters of the session, newest last
+    function history() {
+        return finished.slice();
+    }
+
+    return {
+        handle,
+        end,
+        history,
+        get current() { return current ? describe(current) : null; },
+        get currentId() { return current ? current.id : null; }
+    };
+}
+
+EncounterTracker.PACKETS = PACKETS;
+
+module.exports = EncounterTracker;
@@ -0,0 +1,175 @@
+'use strict';
+
+// Registry of the entities around the player, filled from spawn packets, so gameIds can be shown with a name:
+//
+//   S_LOGIN              - The local player
+//   S_SPAWN_USER / NPC   - Other players and NPCs (monsters, summons, villagers)
+//   S_DESPAWN_USER / NPC - Removes the entity
+//   S_LOAD_TOPO          - Zone change, removes everything but the local player
+//   S_PARTY_MEMBER_LIST / S_LEAVE_PARTY / S_LEAVE_PARTY_MEMBER - Party membership
+//
+// Only fields that are stable across definition versions are used, so the packets are hooked with their latest version.
+// Despawned entities are remembered for a while, so results and reports written after e.g. a boss died still name it.
+
+const PACKETS = ['S_LOGIN', 'S_SPAWN_USER', 'S_DESPAWN_USER', 'S_SPAWN_NPC', 'S_DESPAWN_NPC', 'S_LOAD_TOPO', 'S_PARTY_MEMBER_LIST', 'S_LEAVE_PARTY', 'S_LEAVE_PARTY_MEMBER'];
+
+// Number of despawned entities remembered for labels
+const MAX_DESPAWNED = 200;
+
+function playerKey(serverId, playerId) {
+    return `${serverId}:${playerId}`;
+}
+
+// options:
+//   resolveNpcName - Optional function (huntingZoneId, templateId) returning a promise of the NPC's name or null
+function EntityRegistry(options = {}) {
+    const entities = new Map(); // gameId as string -> entity
+    const despawned = new Map(); // gameId as string -> entity, oldest first
+    const npcNames = new Map(); // "huntingZoneId:templateId" -> name, null while unknown
+    let me = null;
+    let party = new Set(); // Player keys of the party members
+
+    function key(gameId) {
+        return `${gameId}`;
+    }
+
+    function addUser(event, isMe) {
+        const entity = {
+            kind: 'user',
+            gameId: event.gameId,
+            name: event.name,
+            templateId: event.templateId,
+            playerId: event.playerId,
+            serverId: event.serverId,
+            me: isMe
+        };
+        entities.set(key(event.gameId), entity);
+        if (isMe) me = entity;
+    }
+
+    function addNpc(event) {
+        const npcKey = `${event.huntingZoneId}:${event.templateId}`;
+        entities.set(key(event.gameId), {
+            kind: 'npc',
+            gameId: event.gameId,
+            templateId: event.templateId,
+            huntingZoneId: event.huntingZoneId,
+            owner: event.owner && event.owner !== 0n ? event.owner : null
+        });
+
+        if (!npcNames.has(npcKey) && options.resolveNpcName) {
+            npcNames.set(npcKey, null);
+            Promise.resolve(options.resolveNpcName(event.huntingZoneId, event.templateId)).then(name => {
+                npcNames.set(npcKey, name || null);
+            }).catch(() => {});
+        }
+    }
+
+    function remove(gameId) {
+        const entity = entities.get(gameId);
+        if (!entity) return;
+
+        entities.delete(gameId);
+        despawned.delete(gameId);
+        despawned.set(gameId, entity);
+        if (despawned.size > MAX_DESPAWNED) despawned.delete(despawned.keys().next().value);
+    }
+
+    function handle(name, event) {
+        switch (name) {
+            case 'S_LOGIN':
+                entities.clear();
+                despawned.clear();
+                party = new Set();
+                addUser(event, true);
+                break;
+            case 'S_SPAWN_USER':
+                addUser(event, false);
+                break;
+            case 'S_SPAWN_NPC':
+                addNpc(event);
+                break;
+            case 'S_DESPAWN_USER':
+            case 'S_DESPAWN_NPC':
+                remove(key(event.gameId));
+                break;
+            case 'S_LOAD_TOPO':
+                [...entities.keys()].filter(gameId => entities.get(gameId) !== me).forEach(remove);
+                break;
+            case 'S_PARTY_MEMBER_LIST':
+                party = new Set(event.members.map(member => playerKey(member.serverId, member.playerId)));
+                break;
+            case 'S_LEAVE_PARTY':
+                party = new Set();
+                break;
+            case 'S_LEAVE_PARTY_MEMBER':
+                party.delete(playerKey(event.serverId, event.playerId));
+                break;
+        }
+    }
+
+    function get(gameId) {
+        return entities.get(key(gameId)) || null;
+    }
+
+    function isInParty(entity) {
+        return entity.kind === 'user' && party.has(playerKey(entity.serverId, entity.playerId));
+    }
+
+    function npcName(entity) {
+        return npcNames.get(`${entity.huntingZoneId}:${entity.templateId}`) || null;
+    }
+
+    // Short description of an entity, e.g. "me: Name", "party: Name", "Name" or "Kelsaik, NPC 1023:1000"
+    function label(gameId) {
+        const entity = get(gameId) || despawned.get(key(gameId));
+        if (!entity) return null;
+
+        if (entity.kind === 'user') {
+            if (entity.me) return `me: ${entity.name}`;
+            return isInParty(entity) ? `party: ${entity.name}` : entity.name;
+        }
+
+        const name = npcName(entity);
+        let text = `${name ? `${name}, ` : ''}NPC ${entity.huntingZoneId}:${entity.templateId}`;
+        const owner = entity.owner !== null ? (get(entity.owner) || despawned.get(key(entity.owner))) : null;
+        if (owner && owner.kind === 'user') {
+            text += `, summoned by ${owner.me ? 'me' : owner.name}`;
+        }
+        return text;
+    }
+
+    // A gameId followed by its label if it is known, e.g. "1234567890 (me: Name)"
+    function annotate(gameId) {
+        const text = label(gameId);
+        return text ? `${gameId} (${text})` : `${gameId}`;
+    }
+
+    // Entities whose gameId, name, NPC name or template match the query (case-insensitive), or all without one
+    function find(query) {
+        const all = [...entities.values()];
+        if (!query) return all;
+
+        const text = `${query}`.toLowerCase();
+        return all.filter(entity => {
+            return key(entity.gameId) === text
+                || (entity.name && entity.name.toLowerCase().includes(text))
+                || (entity.kind === 'npc' && ((npcName(entity) || '').toLowerCase().includes(text) || `${entity.huntingZoneId}:${entity.templateId}` === text));
+        });
+    }
+
+    return {
+        handle,
+        get,
+        label,
+        annotate,
+        find,
+        isInParty,
+        get size() { return entities.size; },
+        get partySize() { return party.size; }
+    };
+}
+
+EntityRegistry.PACKETS = PACKETS;
+
+module.exports = EntityRegistry;
@@ -0,0 +1,186 @@
+'use strict';
+
+// Equipment loadouts of the local player and of their servants and pets:
+//
+//   setEquipment()            - Replaces the player's loadout with the equipment list of the inventory tracker
+//   C_EQUIP_ITEM              - The player asks to equip an item into a slot, applied once S_EQUIP_ITEM confirms it
+//   S_EQUIP_ITEM              - Confirms an equip of the local player
+//   S_UNEQUIP_ITEM            - Removes an item of the local player from its slot
+//   S_USER_ITEM_EQUIP_CHANGER - The local player's equipment changed, the equipment list that follows tells how
+//   C_EQUIP_SERVANT_ITEM      - An item equipped on a servant (S_EQUIP_SERVANT_ITEM confirms it)
+//   C_PET_EQUIP               - An item equipped on a pet
+//
+// The equip packets carry neither the dbid nor the enchantment; they are taken from the item lists (findItem) and
+// corrected by the next equipment list. Servant and pet equip packets don't name a slot either, so those loadouts
+// are kept per item id, separately for every servant and pet, and are only cleared on login.
+//
+// Snapshots are numbered loadouts taken with take(), and are only taken when something changed since the last one:
+//   { number, time, reason, character: [{ slot, id, dbid, enchant }], servants: { <servantId>: [...] }, pets: { <petId>: [...] } }
+// diff() compares two snapshots:
+//   [{ owner: 'character' | 'servant <id>' | 'pet <id>', slot, before, after }]
+
+const PACKETS = ['C_EQUIP_ITEM', 'S_EQUIP_ITEM', 'S_UNEQUIP_ITEM', 'S_USER_ITEM_EQUIP_CHANGER', 'C_EQUIP_SERVANT_ITEM', 'S_EQUIP_SERVANT_ITEM', 'C_PET_EQUIP'];
+
+// Number of snapshots kept for diffs
+const MAX_SNAPSHOTS = 50;
+
+function sameItem(a, b) {
+    return a.id === b.id && a.dbid === b.dbid && a.enchant === b.enchant;
+}
+
+// Helper function to compare two lists of items, matched by slot (or by item id for servants and pets)
+function diffItems(owner, from, to) {
+    const keyOf = item => (item.slot !== null ? item.slot : item.id);
+    const before = new Map(from.map(item => [keyOf(item), item]));
+    const after = new Map(to.map(item => [keyOf(item), item]));
+
+    const changes = [];
+    for (const key of new Set([...before.keys(), ...after.keys()])) {
+        const a = before.get(key) || null;
+        const b = after.get(key) || null;
+        if (!a || !b || !sameItem(a, b)) changes.push({ owner, slot: (a || b).slot, before: a, after: b });
+    }
+    return changes;
+}
+
+// options:
+//   isMe     - Function telling whether a gameId belongs to the local player
+//   findItem - Function returning the known { dbid, enchant } of an item id (e.g. from the inventory), or null
+function EquipmentLoadout(options) {
+    let character = new Map(); // Slot -> item
+    let servants = new Map(); // "<servantId>" -> item id -> item
+    let pets = new Map(); // "<petId>" -> item id -> item
+    let requested = new Map(); // Item id -> slot of a C_EQUIP_ITEM still to be confirmed
+    let snapshots = [];
+    let counter = 0;
+
+    function toItem(id, slot) {
+        const known = options.findItem(id);
+        return {
+            slot,
+            id,
+            dbid: known ? known.dbid : null,
+            enchant: known ? known.enchant : null
+        };
+    }
+
+    // Equip an item on a servant or pet, returns whether that changed its loadout
+    function equipOn(owners, ownerId, id) {
+        const key = `${ownerId}`;
+        if (!owners.has(key)) owners.set(key, new Map());
+        if (owners.get(key).has(id)) return false;
+        owners.get(key).set(id, toItem(id, null));
+        return true;
+    }
+
+    // Returns whether the packet changed a loadout
+    function handle(name, event) {
+        switch (name) {
+            case 'C_EQUIP_ITEM':
+                requested.set(event.id, event.slot);
+                return false;
+            case 'S_EQUIP_ITEM': {
+                if (!options.isMe(event.cid) || !requested.has(event.id)) return false;
+                const slot = requested.get(event.id);
+                requested.delete(event.id);
+                character.set(slot, toItem(event.id, slot));
+                return true;
+            }
+            case 'S_UNEQUIP_ITEM': {
+                if (!options.isMe(event.gameId)) return false;
+                const slot = [...character.keys()].find(key => character.get(key).id === event.id);
+                if (slot === undefined) return false;
+                character.delete(slot);
+                return true;
+            }
+            case 'S_USER_ITEM_EQUIP_CHANGER':
+                return options.isMe(event.gameId);
+            case 'C_EQUIP_SERVANT_ITEM':
+            case 'S_EQUIP_SERVANT_ITEM':
+                return equipOn(servants, event.servantId, event.itemId);
+            case 'C_PET_EQUIP':
+                return equipOn(pets, event.petId, event.itemId);
+        }
+        return false;
+    }
+
+    // Replace the player's loadout with a complete equipment list (slot -> { id, dbid, enchant }),
+    // returns whether that changed it
+    function setEquipment(items) {
+        const next = new Map();
+        for (const [slot, item] of items) {
+            next.set(slot, { slot, id: item.id, dbid: item.dbid, enchant: item.enchant });
+        }
+        const changed = diffItems('character', [...character.values()], [...next.values()]).length > 0;
+        character = next;
+        requested = new Map();
+        return changed;
+    }
+
+    function current(reason, time) {
+        const listOwners = owners => {
+            const listed = {};
+            for (const [key, items] of owners) listed[key] = [...items.values()];
+            return listed;
+        };
+        return {
+            number: null,
+            time,
+            reason,
+            character: [...character.values()].sort((a, b) => a.slot - b.slot),
+            servants: listOwners(servants),
+            pets: listOwners(pets)
+        };
+    }
+
+    function diff(from, to) {
+        const changes = diffItems('character', from.character, to.character);
+        changes.sort((a, b) => a.slot - b.slot);
+        for (const [kind, field] of [['servant', 'servants'], ['pet', 'pets']]) {
+            for (const key of new Set([...Object.keys(from[field]), ...Object.keys(to[field])])) {
+                changes.push(...diffItems(`${kind} ${key}`, from[field][key] || [], to[field][key] || []));
+            }
+        }
+        return changes;
+    }
+
+    // Take a snapshot if the loadouts changed since the last one (or none was taken yet), otherwise return null
+    function take(reason, time = Date.now()) {
+        const taken = current(reason, time);
+        const previous = snapshots[snapshots.length - 1];
+        if (taken.character.length === 0 && Object.keys(taken.servants).length === 0 && Object.keys(taken.pets).length === 0 && !previous) return null;
+        if (previous && diff(previous, taken).length === 0) return null;
+
+        taken.number = ++counter;
+        snapshots.push(taken);
+        if (snapshots.length > MAX_SNAPSHOTS) snapshots.shift();
+        return taken;
+    }
+
+    // Start over for a new character; snapshot numbers continue, so they stay unique in the session's file
+    function reset() {
+        character = new Map();
+        servants = new Map();
+        pets = new Map();
+        requested = new Map();
+        snapshots = [];
+    }
+
+    return {
+        handle,
+        setEquipment,
+        take,
+        diff,
+        reset,
+        // The current loadouts, as an unnumbered snapshot
+        current: (time = Date.now()) => current(null, time),
+        // A kept snapshot by number, or null
+        get: number => snapshots.find(snapshot => snapshot.number === number) || null,
+        get snapshots() { return snapshots.slice(); }
+    };
+}
+
+EquipmentLoadout.PACKETS = PACKETS;
+EquipmentLoadout.MAX_SNAPSHOTS = MAX_SNAPSHOTS;
+
+module.exports = EquipmentLoadout;
@@ -0,0 +1,140 @@
+'use strict';
+
+// Payload field predicates used by the `pktfield` command:
+//
+//   [PACKET_NAME:]<field.path> <op> <value>
+//
+//   op is one of =, !=, >, >=, <, <= or "in" followed by a list like (1, 2, 3)
+//
+// A predicate with a packet name only applies to that packet, which must then have a matching field.
+// A predicate without one applies to every packet that has the field; packets without it are unaffected, unless the
+// predicates are compiled with `requireField` (as the log viewer does). Then a packet or record without the field only
+// satisfies != predicates.
+// A packet is logged only if it satisfies all predicates that apply to it.
+
+const PREDICATE_PATTERN = /^(?:([A-Z][A-Z0-9_]*):)?([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)\s*(?:(<=|>=|!=|=|<|>)\s*(.+)|\s+in\s*\((.*)\))$/;
+
+// Helper to read a (possibly nested) field from an event, e.g. "skill.id"
+function getField(event, fieldPath) {
+    return fieldPath.split('.').reduce((value, key) => (value === undefined || value === null) ? undefined : value[key], event);
+}
+
+// Collect every value at a field path, descending into arrays (e.g. "targets.gameId" of an array of targets)
+function collectValues(value, keys) {
+    if (value === undefined || value === null) return [];
+    if (Array.isArray(value)) return [].concat(...value.map(element => collectValues(element, keys)));
+    if (keys.length === 0) return [value];
+    return collectValues(value[keys[0]], keys.slice(1));
+}
+
+function parseLiteral(text) {
+    const trimmed = text.trim();
+    const quoted = /^"(.*)"$/.exec(trimmed) || /^'(.*)'$/.exec(trimmed);
+    return quoted ? quoted[1] : trimmed;
+}
+
+// Compare an event value with a literal from a predicate, converting the literal to the value's type.
+// Returns a negative number, zero or a positive number, or NaN if the two can't be compared.
+function compareValues(actual, literal) {
+    switch (typeof actual) {
+        case 'bigint': {
+            let expected;
+            try {
+                expected = BigInt(literal);
+            } catch (e) {
+                return NaN;
+            }
+            return actual < expected ? -1 : (actual > expected ? 1 : 0);
+        }
+        case 'number': {
+            const expected = Number(literal);
+            return Number.isNaN(expected) ? NaN : actual - expected;
+        }
+        case 'boolean':
+            return actual === (literal.toLowerCase() === 'true') ? 0 : NaN;
+        case 'string': {
+            const a = actual.toLowerCase();
+            const b = literal.toLowerCase();
+            return a < b ? -1 : (a > b ? 1 : 0);
+        }
+        default:
+            return NaN;
+    }
+}
+
+const OPERATORS = {
+    '=': result => result === 0,
+    '!=': result => result !== 0,
+    '>': result => result > 0,
+    '>=': result => result >= 0,
+    '<': result => result < 0,
+    '<=': result => result <= 0
+};
+
+// Parse a predicate expression. Throws an Error with a readable message if it is invalid.
+function parseFieldFilter(expression) {
+    const match = PREDICATE_PATTERN.exec(expression.trim());
+    if (!match) {
+        throw new Error(`Invalid field filter: ${expression}`);
+    }
+
+    const [, packetName, fieldPath, operator, value, list] = match;
+    const keys = fieldPath.split('.');
+    const predicate = { packetName: packetName || null, fieldPath, negated: operator === '!=' };
+
+    let test;
+    if (list !== undefined) {
+        const literals = list.split(',').map(parseLiteral).filter(literal => literal.length > 0);
+        if (literals.length === 0) {
+            throw new Error(`Empty list in field filter: ${expression}`);
+        }
+        predicate.expression = `${packetName ? `${packetName}:` : ''}${fieldPath} in (${literals.join(', ')})`;
+        test = actual => literals.some(literal => compareValues(actual, literal) === 0);
+    } else {
+        const literal = parseLiteral(value);
+        predicate.expression = `${packetName ? `${packetName}:` : ''}${fieldPath}${operator}${literal}`;
+        test = actual => OPERATORS[operator](compareValues(actual, literal));
+    }
+
+    // For array fields, != requires that no element equals the value; every other operator needs one matching element
+    predicate.test = event => {
+        const values = collectValues(event, keys);
+        if (values.length === 0) return null; // Field not present
+        return operator === '!=' ? values.every(test) : values.some(test);
+    };
+    return predicate;
+}
+
+// Compile a list of predicate expressions. Invalid expressions are skipped and reported through onError.
+//
+// options:
+//   requireField - Whether packets without the field fail predicates without a packet name (except !=)
+function compileFieldFilters(expressions, onError, options = {}) {
+    const predicates = [];
+    for (const expression of expressions) {
+        try {
+            predicates.push(parseFieldFilter(expression));
+        } catch (e) {
+            if (onError) onError(e);
+        }
+    }
+
+    return {
+        // Whether any predicate could apply to the named packet (so it needs to be parsed)
+        appliesTo(name) {
+            return predicates.some(predicate => predicate.packetName === null || predicate.packetName === name);
+        },
+        matches(name, event) {
+            for (const predicate of predicates) {
+                if (predicate.packetName !== null && predicate.packetName !== name) continue;
+
+                const result = predicate.test(event);
+                if (result === false) return false;
+                if (result === null && (predicate.packetName !== null || (options.requireField && !predicate.negated))) return false;
+            }
+            return true;
+        }
+    };
+}
+
+module.exports = { parseFieldFilter, compileFieldFilters, getField };
@@ -0,0 +1,200 @@
+'use strict';
+
+// Inventory and equipment of the local player, modelled from the item list packets:
+//
+//   S_ITEMLIST - Items of one container and pocket (current clients); container 0 is the inventory, 14 the equipment
+//   S_INVEN    - The whole inventory, with the equipped items in the slots below 40 (older clients)
+//   S_LOGIN    - Starts over for the new character
+//
+// A list is sent in parts (the first one flagged `first`, the last one without `more`) and replaces what was known of
+// its container once it is complete. Only fields that are stable across definition versions are used (id, dbid,
+// amount, slot, enchant), so the packets are hooked with their latest version.
+//
+// Snapshots hold the item amounts per item id (inventory and equipment together, so equipping an item isn't a loss),
+// the equipped items per slot, the enchantment of every item per dbid and the money. diff() compares two snapshots:
+//   { money, items: [{ id, before, after, change }], equipment: [{ slot, before, after }], enchants: [{ dbid, id, before, after }] }
+//
+// Named markers are snapshots to compare the current state with later; the "login" marker is set automatically once
+// the first list after login is complete. Containers loaded later (e.g. the other pockets) are added to the markers,
+// so they don't count as gains.
+
+const PACKETS = ['S_LOGIN', 'S_ITEMLIST', 'S_INVEN'];
+
+// S_ITEMLIST containers that are tracked
+const CONTAINER_INVENTORY = 0;
+const CONTAINER_EQUIPMENT = 14;
+
+// S_INVEN slots below this one are equipment
+const INVEN_EQUIPMENT_SLOTS = 40;
+
+const EQUIPMENT = 'equipment';
+
+function toItem(item) {
+    return {
+        id: item.id,
+        dbid: `${item.dbid}`,
+        amount: item.amount !== undefined ? Number(item.amount) : 1,
+        slot: item.slot,
+        enchant: item.enchant !== undefined ? item.enchant : null
+    };
+}
+
+function sameItem(a, b) {
+    return a.id === b.id && a.dbid === b.dbid && a.enchant === b.enchant;
+}
+
+// options:
+//   isMe - Function telling whether a gameId belongs to the local player
+function InventoryTracker(options) {
+    let containers = new Map(); // "inventory:<pocket>" or "equipment" -> items
+    let partial = new Map(); // Same keys -> items of a list still being received
+    let money = null;
+    let baseline = null; // Snapshot takeChanges() compares with
+    let markers = new Map(); // Name -> snapshot
+
+    // Collect the parts of a list, and replace the container's items once the last part arrived
+    function receive(key, items, first, more) {
+        if (first || !partial.has(key)) partial.set(key, []);
+        partial.get(key).push(...items.map(toItem));
+        if (more) return;
+
+        const complete = partial.get(key);
+        partial.delete(key);
+        const loaded = containers.has(key);
+        containers.set(key, complete);
+
+        // A container seen for the first time (e.g. another pocket after login) is not a gain
+        if (!loaded) {
+            [baseline, ...markers.values()].filter(target => target).forEach(target => {
+                addToSnapshot(target, key, complete);
+                if (target.money === null) target.money = money;
+            });
+        }
+        if (!markers.has('login')) markers.set('login', snapshot());
+    }
+
+    function addToSnapshot(target, key, items) {
+        for (const item of items) {
+            target.amounts.set(item.id, (target.amounts.get(item.id) || 0) + item.amount);
+            if (item.enchant !== null) target.enchants.set(item.dbid, { id: item.id, enchant: item.enchant });
+            if (key === EQUIPMENT) target.equipment.set(item.slot, item);
+        }
+    }
+
+    function handle(name, event) {
+        switch (name) {
+            case 'S_LOGIN':
+                containers = new Map();
+                partial = new Map();
+                money = null;
+                baseline = null;
+                markers = new Map();
+                break;
+            case 'S_ITEMLIST': {
+                if (!options.isMe(event.gameId)) return;
+
+                if (event.container === CONTAINER_EQUIPMENT) {
+                    receive(EQUIPMENT, event.items, event.first, event.more);
+                } else if (event.container === CONTAINER_INVENTORY) {
+                    if (event.money !== undefined) money = BigInt(event.money);
+                    receive(`inventory:${event.pocket || 0}`, event.items, event.first, event.more);
+                }
+                break;
+            }
+            case 'S_INVEN': {
+                if (!options.isMe(event.gameId)) return;
+
+                if (event.money !== undefined) money = BigInt(event.money);
+                receive(EQUIPMENT, event.items.filter(item => item.slot < INVEN_EQUIPMENT_SLOTS), event.first, event.more);
+                receive('inventory:0', event.items.filter(item => item.slot >= INVEN_EQUIPMENT_SLOTS), event.first, event.more);
+                break;
+            }
+        }
+    }
+
+    // The current state, e.g. to compare with later
+    function snapshot(time = Date.now()) {
+        const taken = { time, money, amounts: new Map(), equipment: new Map(), enchants: new Map() };
+        for (const [key, items] of containers) {
+            addToSnapshot(taken, key, items);
+        }
+        return taken;
+    }
+
+    function diff(from, to) {
+        const items = [];
+        for (const id of new Set([...from.amounts.keys(), ...to.amounts.keys()])) {
+            const before = from.amounts.get(id) || 0;
+            const after = to.amounts.get(id) || 0;
+            if (before !== after) items.push({ id, before, after, change: after - before });
+        }
+        // Biggest changes first
+        items.sort((a, b) => Math.abs(b.change) - Math.abs(a.change) || a.id - b.id);
+
+        const equipment = [];
+        for (const slot of new Set([...from.equipment.keys(), ...to.equipment.keys()])) {
+            const before = from.equipment.get(slot) || null;
+            const after = to.equipment.get(slot) || null;
+            if (!before || !after || !sameItem(before, after)) equipment.push({ slot, before, after });
+        }
+        equipment.sort((a, b) => a.slot - b.slot);
+
+        // Only items that still exist, enchanting doesn't change the dbid
+        const enchants = [];
+        for (const [dbid, after] of to.enchants) {
+            const before = from.enchants.get(dbid);
+            if (before && before.enchant !== after.enchant) enchants.push({ dbid, id: after.id, before: before.enchant, after: after.enchant });
+        }
+
+        const moneyChange = from.money !== null && to.money !== null && from.money !== to.money ? to.money - from.money : null;
+        return { money: moneyChange, items, equipment, enchants };
+    }
+
+    // The changes since the last call, or null on the first call and when nothing changed
+    function takeChanges(time = Date.now()) {
+        const current = snapshot(time);
+        const previous = baseline;
+        baseline = current;
+        if (!previous) return null;
+
+        const changes = diff(previous, current);
+        const changed = changes.money !== null || changes.items.length > 0 || changes.equipment.length > 0 || changes.enchants.length > 0;
+        return changed ? changes : null;
+    }
+
+    // Remember the current state under a name
+    function mark(name, time = Date.now()) {
+        markers.set(name, snapshot(time));
+    }
+
+    // The changes since a marker, with the marker's time as `since`, or null for an unknown marker
+    function diffSince(name, time = Date.now()) {
+        const marker = markers.get(name);
+        return marker ? Object.assign({ since: marker.time }, diff(marker, snapshot(time))) : null;
+    }
+
+    return {
+        handle,
+        snapshot,
+        diff,
+        takeChanges,
+        mark,
+        diffSince,
+        // The first known item with an item id, or null
+        find: id => {
+            for (const items of containers.values()) {
+                const item = items.find(candidate => candidate.id === id);
+                if (item) return item;
+            }
+            return null;
+        },
+        get markers() { return [...markers].map(([name, marker]) => ({ name, time: marker.time })); },
+        get loaded() { return containers.size > 0; },
+        // The equipped items per slot, or null until the equipment list arrived
+        get equipment() { return containers.has(EQUIPMENT) ? new Map(containers.get(EQUIPMENT).map(item => [item.slot, item])) : null; }
+    };
+}
+
+InventoryTracker.PACKETS = PACKETS;
+
+module.exports = InventoryTracker;
@@ -0,0 +1,490 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+
+// Matches every log file written by this mod, including rotated segments (e.g. packets_1744764281000.2.log)
+// and compressed ones (e.g. packets_1744764281000.2.log.gz)
+const LOG_FILE_PATTERN = /^(packets|item_skill_log|skill_timeline|skill_stats|encounters|equipment)_\d+(\.\d+)?\.log(\.gz)?$/;
+
+// Packet statistics and the session index (e.g. packet_stats_1744764281000.json), kept under the same retention limits
+const SUMMARY_FILE_PATTERN = /^(packet_stats|session)_\d+\.json$/;
+
+const MB = 1024 * 1024;
+
+// Files modified this recently are never deleted by retention, another client running the mod may still write them
+const RETENTION_MIN_AGE_MINUTES = 60;
+
+// Errors of files that disappeared or are held open (Windows) while retention runs; those files are skipped
+const RETENTION_SKIPPED_ERRORS = ['ENOENT', 'EBUSY', 'EPERM'];
+
+// A log file that rolls over to a new numbered segment when it grows too large or too old.
+// The first segment is named `<baseName>.log`, later ones `<baseName>.<n>.log`.
+// The limits are checked on every write; call rotateIfDue() regularly so an idle log also rolls over by time.
+// relocate() continues the log in another directory and/or under another base name.
+//
+// options:
+//   dir       - Directory to write the segments to
+//   baseName  - File name without segment number and extension
+//   getLimits - Function returning the current { maxSizeMB, intervalMinutes } (0 disables either limit)
+//   onRotate  - Called with (closedPath, newPath) after a segment was closed and a new one opened
+//   onClose   - Called with the path of a closed segment once its file has been fully written and closed
+//   onError   - Called with stream errors
+//   getHeader - Optional function returning a line written before the first line of every segment
+function RotatingLogFile(options) {
+    let segment = 1;
+    let stream = null;
+    let filePath = null;
+    let bytesWritten = 0;
+    let openedAt = 0;
+    let linesWritten = 0;
+    let dir = options.dir;
+    let baseName = options.baseName;
+    let segments = []; // Paths of the segments written since the last relocation
+
+    function segmentPath(number) {
+        const fileName = number === 1 ? `${baseName}.log` : `${baseName}.${number}.log`;
+        return path.join(dir, fileName);
+    }
+
+    function open() {
+        filePath = segmentPath(segment);
+        segments.push(filePath);
+        stream = fs.createWriteStream(filePath, { flags: 'a' }); // Append mode
+        stream.on('error', e => options.onError(e));
+        bytesWritten = 0;
+        openedAt = Date.now();
+    }
+
+    function shouldRotate() {
+        const limits = options.getLimits();
+        if (limits.maxSizeMB > 0 && bytesWritten >= limits.maxSizeMB * MB) return true;
+        if (limits.intervalMinutes > 0 && Date.now() - openedAt >= limits.intervalMinutes * 60000) return true;
+        return false;
+    }
+
+    // Finish writing the current segment
+    function close() {
+        const closedPath = filePath;
+        stream.once('close', () => {
+            if (options.onClose) options.onClose(closedPath);
+        });
+        stream.end();
+    }
+
+    // Close the current segment and continue in a new one
+    function rotate() {
+        if (!stream) return;
+
+        const closedPath = filePath;
+        close();
+        segment++;
+        open();
+        if (options.onRotate) options.onRotate(closedPath, filePath);
+    }
+
+    // Roll over a non-empty segment that reached a limit, so an idle session doesn't produce empty files.
+    // Returns whether it rolled over.
+    function rotateIfDue() {
+        if (!stream || bytesWritten === 0 || !shouldRotate()) return false;
+        rotate();
+        return true;
+    }
+
+    // Close the current segment and continue in `newDir`, which is created if needed. With the same base name the
+    // segment numbers continue, otherwise they start over. Returns the paths of the segments written before.
+    // A segment nothing was written to yet is deleted instead, and its number is used again.
+    function relocate(newDir, newBaseName) {
+        if (!stream) return [];
+
+        const empty = bytesWritten === 0;
+        if (empty && path.resolve(newDir) === path.resolve(dir) && newBaseName === baseName) {
+            return segments.slice(0, -1);
+        }
+
+        const previous = empty ? segments.slice(0, -1) : segments;
+        if (empty) {
+            const emptyPath = filePath;
+            stream.once('close', () => fs.unlink(emptyPath, () => {}));
+            stream.end();
+        } else {
+            close();
+        }
+        fs.mkdirSync(newDir, { recursive: true });
+        segment = newBaseName !== baseName ? 1 : (empty ? segment : segment + 1);
+        dir = newDir;
+        baseName = newBaseName;
+        segments = [];
+        open();
+        return previous;
+    }
+
+    // Returns false once the segment's buffer is full; wait for whenDrained() before writing much more
+    function write(line) {
+        if (!stream) return true;
+
+        rotateIfDue();
+        if (bytesWritten === 0 && options.getHeader) {
+            const header = options.getHeader();
+            stream.write(header);
+            bytesWritten += Buffer.byteLength(header);
+        }
+        const writable = stream.write(line);
+        bytesWritten += Buffer.byteLength(line);
+        linesWritten++;
+        return writable;
+    }
+
+    // Call `callback` once the current segment has written out its buffer (or was closed), or soon if it isn't full
+    function whenDrained(callback) {
+        if (!stream || !stream.writableNeedDrain) {
+            setImmediate(callback);
+            return;
+        }
+
+        const waitingStream = stream;
+        const done = () => {
+            waitingStream.off('drain', done);
+            waitingStream.off('close', done);
+            callback();
+        };
+        waitingStream.on('drain', done);
+        waitingStream.on('close', done);
+    }
+
+    function end() {
+        if (!stream) return;
+
+        close();
+        stream = null;
+    }
+
+    open();
+
+    return {
+        write,
+        whenDrained,
+        rotate,
+        rotateIfDue,
+        relocate,
+        end,
+        // Whether rotateIfDue() would roll over now
+        get rotationDue() { return !!stream && bytesWritten > 0 && shouldRotate(); },
+        get path() { return filePath; },
+        get segments() { return segments.slice(); },
+        get lines() { return linesWritten; }
+    };
+}
+
+// Policies of BatchedLogFile for a full queue
+const OVERFLOW_POLICIES = ['drop-oldest', 'sample'];
+
+// Bounded write queue in front of a RotatingLogFile, so the packet hook doesn't wait for the disk.
+//
+// Records are queued either as lines or as functions returning a line (or null to skip the record). Functions are
+// only called when the record is written, so records that are dropped are never formatted or parsed. The queue is
+// written in batches on the next turns of the event loop, pausing while the file's buffer is full. When the queue
+// is full, the overflow policy decides what is lost:
+//
+//   drop-oldest - The oldest queued record makes room for the new one
+//   sample      - Every second queued record is dropped, so what is kept of a burst is spread over all of it
+//
+// Dropped records are counted, and a line from formatDropped() is written before the next record that is written.
+// rotate(), relocate() and end() first write out the whole queue, so records stay in the segment they belong to.
+//
+// options:
+//   getLimits     - Function returning the current { maxRecords, batchSize, overflow }
+//   formatDropped - Function (count, overflow) returning the line written in place of dropped records
+//   onError       - Called with errors thrown by queued functions
+function BatchedLogFile(file, options) {
+    let queue = [];
+    let head = 0; // Index of the oldest queued record
+    let scheduled = false;
+    let waiting = false; // Waiting for the file's buffer to drain
+    let ended = false;
+    let droppedSinceWrite = 0;
+    const stats = { written: 0, dropped: 0, peak: 0 };
+
+    function queued() {
+        return queue.length - head;
+    }
+
+    // Drop records until there is room for one more
+    function makeRoom(limits) {
+        if (limits.overflow === 'sample') {
+            const before = queued();
+            queue = queue.slice(head).filter((record, index) => index % 2 === 1);
+            head = 0;
+            droppedSinceWrite += before - queue.length;
+            stats.dropped += before - queue.length;
+            return;
+        }
+
+        head++;
+        droppedSinceWrite++;
+        stats.dropped++;
+        // Release the dropped records once they make up most of the array
+        if (head > 1024 && head * 2 > queue.length) {
+            queue = queue.slice(head);
+            head = 0;
+        }
+    }
+
+    function writeRecord(record) {
+        let line;
+        try {
+            line = typeof record === 'function' ? record() : record;
+        } catch (e) {
+            options.onError(e);
+            return true;
+        }
+        if (line === null || line === undefined) return true;
+
+        const writable = writeDropped();
+        stats.written++;
+        return file.write(line) && writable;
+    }
+
+    // Write the line telling how many records were dropped since the last one written
+    function writeDropped() {
+        if (droppedSinceWrite === 0) return true;
+
+        const line = options.formatDropped(droppedSinceWrite, options.getLimits().overflow);
+        droppedSinceWrite = 0;
+        return file.write(line);
+    }
+
+    // Write up to `count` queued records; returns false if the file asked to wait
+    function writeRecords(count) {
+        let writable = true;
+        const end = Math.min(queue.length, head + count);
+        while (head < end) {
+            const record = queue[head];
+            queue[head++] = null;
+            writable = writeRecord(record) && writable;
+        }
+        if (head === queue.length) {
+            queue = [];
+            head = 0;
+        }
+        return writable;
+    }
+
+    function writeBatch() {
+        scheduled = false;
+        if (ended) return;
+
+        if (!writeRecords(Math.max(1, options.getLimits().batchSize))) {
+            waiting = true;
+            file.whenDrained(() => {
+                waiting = false;
+                schedule();
+            });
+            return;
+        }
+        schedule();
+    }
+
+    function schedule() {
+        if (scheduled || waiting || ended || queued() === 0) return;
+        scheduled = true;
+        setImmediate(writeBatch);
+    }
+
+    function write(record) {
+        if (ended) return;
+
+        const limits = options.getLimits();
+        if (limits.maxRecords > 0 && queued() >= limits.maxRecords) makeRoom(limits);
+        queue.push(record);
+        stats.peak = Math.max(stats.peak, queued());
+        schedule();
+    }
+
+    // Write out the whole queue right away, regardless of the file's buffer
+    function flush() {
+        writeRecords(queued());
+        writeDropped();
+    }
+
+    return {
+        write,
+        flush,
+        rotate() {
+            flush();
+            file.rotate();
+        },
+        rotateIfDue() {
+            if (!file.rotationDue) return false;
+            flush();
+            return file.rotateIfDue();
+        },
+        relocate(dir, baseName) {
+            flush();
+            return file.relocate(dir, baseName);
+        },
+        end() {
+            flush();
+            ended = true;
+            file.end();
+        },
+        get path() { return file.path; },
+        get segments() { return file.segments; },
+        get lines() { return file.lines; },
+        get stats() { return Object.assign({ queued: queued() }, stats); }
+    };
+}
+
+// List the files in `dir` and all of its subdirectories whose name passes `matches`.
+// Subdirectories removed while listing are skipped.
+async function findFiles(dir, matches, isSubdir = false) {
+    let entries;
+    try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (e) {
+        if (isSubdir && e.code === 'ENOENT') return [];
+        throw e;
+    }
+    const files = [];
+    for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...await findFiles(entryPath, matches, true));
+        } else if (matches(entry.name)) {
+            files.push(entryPath);
+        }
+    }
+    return files;
+}
+
+// Remove the directories between a deleted file and `rootDir` that have become empty
+async function removeEmptyDirs(filePath, rootDir) {
+    const root = path.resolve(rootDir);
+    let dir = path.dirname(path.resolve(filePath));
+    while (dir !== root && dir.startsWith(root)) {
+        try {
+            await fs.promises.rmdir(dir);
+        } catch (e) {
+            return; // Not empty
+        }
+        dir = path.dirname(dir);
+    }
+}
+
+// Delete the oldest log files in `dir` and its subdirectories until the retention limits are met.
+// Files in `activePaths` and files modified in the last RETENTION_MIN_AGE_MINUTES are never deleted, files that
+// disappear or can't be deleted meanwhile are skipped, and directories left empty are removed.
+//
+// limits: { maxFiles, maxTotalSizeMB, maxAgeDays } (0 disables a limit)
+// Resolves to the list of deleted file paths.
+async function enforceRetention(dir, limits, activePaths) {
+    const active = new Set(activePaths.map(filePath => path.resolve(filePath)));
+    const isLogFile = fileName => LOG_FILE_PATTERN.test(fileName) || SUMMARY_FILE_PATTERN.test(fileName);
+
+    const files = [];
+    for (const foundPath of await findFiles(dir, isLogFile)) {
+        const filePath = path.resolve(foundPath);
+        let stats;
+        try {
+            stats = await fs.promises.stat(filePath);
+        } catch (e) {
+            if (RETENTION_SKIPPED_ERRORS.includes(e.code)) continue;
+            throw e;
+        }
+        files.push({ path: filePath, size: stats.size, mtime: stats.mtimeMs, active: active.has(filePath) });
+    }
+
+    // Oldest first
+    files.sort((a, b) => a.mtime - b.mtime);
+
+    let count = files.length;
+    let totalSize = files.reduce((sum, file) => sum + file.size, 0);
+    const minMtime = limits.maxAgeDays > 0 ? Date.now() - limits.maxAgeDays * 86400000 : -Infinity;
+    const recentMtime = Date.now() - RETENTION_MIN_AGE_MINUTES * 60000;
+
+    const deleted = [];
+    for (const file of files) {
+        if (file.active || file.mtime >= recentMtime) continue;
+
+        const tooMany = limits.maxFiles > 0 && count > limits.maxFiles;
+        const tooLarge = limits.maxTotalSizeMB > 0 && totalSize > limits.maxTotalSizeMB * MB;
+        const tooOld = file.mtime < minMtime;
+        if (!tooMany && !tooLarge && !tooOld) continue;
+
+        try {
+            await fs.promises.unlink(file.path);
+        } catch (e) {
+            if (!RETENTION_SKIPPED_ERRORS.includes(e.code)) throw e;
+            // A file deleted meanwhile no longer counts towards the limits, one held open still does
+            if (e.code === 'ENOENT') {
+                count--;
+                totalSize -= file.size;
+            }
+            continue;
+        }
+        await removeEmptyDirs(file.path, dir);
+        deleted.push(file.path);
+        count--;
+        totalSize -= file.size;
+    }
+    return deleted;
+}
+
+// Gzip a closed log file to `<filePath>.gz` and delete the original. Resolves to the compressed file's path.
+function compressLogFile(filePath) {
+    const gzipPath = `${filePath}.gz`;
+    // Write to a temporary file first so an interrupted compression never leaves a truncated .gz behind
+    const tempPath = `${gzipPath}.tmp`;
+
+    return new Promise((resolve, reject) => {
+        pipeline(fs.createReadStream(filePath), zlib.createGzip(), fs.createWriteStream(tempPath), e => {
+            if (e) {
+                fs.unlink(tempPath, () => reject(e));
+                return;
+            }
+            resolve();
+        });
+    })
+        .then(() => fs.promises.rename(tempPath, gzipPath))
+        .then(() => fs.promises.unlink(filePath))
+        .then(() => gzipPath);
+}
+
+// Move a closed log file into `dir`, or its compressed version if it has been compressed in the meantime.
+// Resolves to the new path, or null if neither file exists anymore.
+async function moveLogFile(filePath, dir) {
+    for (const sourcePath of [filePath, `${filePath}.gz`]) {
+        const targetPath = path.join(dir, path.basename(sourcePath));
+        try {
+            await fs.promises.mkdir(dir, { recursive: true });
+            await fs.promises.rename(sourcePath, targetPath);
+            return targetPath;
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+        }
+    }
+    return null;
+}
+
+// Open a log file for reading, transparently decompressing .gz files
+function openLogReadStream(filePath) {
+    const stream = fs.createReadStream(filePath);
+    if (!filePath.endsWith('.gz')) return stream;
+
+    const gunzip = zlib.createGunzip();
+    stream.on('error', e => gunzip.destroy(e));
+    return stream.pipe(gunzip);
+}
+
+// Iterate over the lines of a (possibly compressed) log file
+async function* readLogLines(filePath) {
+    const lines = readline.createInterface({ input: openLogReadStream(filePath), crlfDelay: Infinity });
+    for await (const line of lines) {
+        yield line;
+    }
+}
+
+module.exports = { RotatingLogFile, BatchedLogFile, OVERFLOW_POLICIES, enforceRetention, compressLogFile, moveLogFile, findFiles, openLogReadStream, readLogLines, LOG_FILE_PATTERN };
@@ -0,0 +1,210 @@
+'use strict';
+
+// Formatting and parsing of log file lines.
+//
+// The packet log is written either as pipe-delimited text (the legacy format) or as JSON Lines:
+//
+//   <timestamp> | [FAKE] <direction> | <opcode> | <name> | <payload JSON or RAW: hex>
+//   <timestamp> | [<MARKER>] [FAKE] <direction> | <opcode> | <name> | <details JSON>
+//   {"timestamp":...,"direction":...,"opcode":...,"name":...,"fake":...,"payload":{...}}
+//
+// The item/skill log is always text:
+//
+//   <timestamp> | <name> | <Key>: <value> | ...
+//
+// Both logs start every segment with a HEADER record and end with a FOOTER record, written as JSON in either format:
+//
+//   {"timestamp":...,"marker":"HEADER","name":"SESSION","log":...,"protocolVersion":...,"definitions":{...},"settings":{...}}
+//
+// Records dropped from the packet log's write queue are replaced by a DROPPED record, also written as JSON:
+//
+//   {"timestamp":...,"marker":"DROPPED","name":"QUEUE","count":...,"overflow":...}
+//
+// Packets held back by the packet limits are summed up periodically in a SUPPRESSED record:
+//
+//   {"timestamp":...,"marker":"SUPPRESSED","name":"LIMITS","count":...,"seconds":...,"packets":{"<name>":<count>,...}}
+
+// Supported output formats for the raw packet log
+const PACKET_LOG_FORMATS = ['text', 'jsonl'];
+
+// Replacer function to handle BigInt serialization for JSON.stringify
+function bigIntReplacer(key, value) {
+    if (typeof value === 'bigint') {
+        return value.toString();
+    }
+    return value;
+}
+
+// Format a packet record as a pipe-delimited text line (legacy format)
+function formatPacketText(record) {
+    const fakePrefix = record.fake ? '[FAKE] ' : '';
+    let logLine = `${record.timestamp} | ${fakePrefix}${record.direction} | ${record.code} | ${record.name}`;
+
+    if (record.event) {
+        // Safely stringify, handling potential circular references or large objects and BigInts
+        try {
+            logLine += ` | ${JSON.stringify(record.event, bigIntReplacer)}`;
+        } catch (stringifyError) {
+            logLine += ` | PARSED (Stringify Error: ${stringifyError.message})`;
+        }
+    } else {
+        logLine += ` | RAW: ${record.data.toString('hex')}`;
+    }
+    return logLine;
+}
+
+// Format a packet record as a single self-describing JSON object (JSON Lines format)
+function formatPacketJson(record) {
+    const entry = {
+        timestamp: record.timestamp,
+        direction: record.direction,
+        opcode: record.code,
+        name: record.name,
+        fake: !!record.fake,
+        version: record.event ? record.version : null,
+        length: record.data.length
+    };
+
+    if (record.event) {
+        // Safely stringify, falling back to raw hex if the parsed payload can't be serialized
+        try {
+            return JSON.stringify(Object.assign({}, entry, { payload: record.event }), bigIntReplacer);
+        } catch (stringifyError) {
+            entry.version = null;
+            entry.error = `Stringify Error: ${stringifyError.message}`;
+        }
+    }
+
+    entry.raw = record.data.toString('hex');
+    return JSON.stringify(entry, bigIntReplacer);
+}
+
+// Format a marker record (e.g. a modified packet) as a text line: `timestamp | [MARKER] direction | opcode | name | details`
+function formatMarkerText(record) {
+    const fakePrefix = record.fake ? '[FAKE] ' : '';
+    return `${record.timestamp} | [${record.marker}] ${fakePrefix}${record.direction} | ${record.code} | ${record.name} | ${JSON.stringify(record.details, bigIntReplacer)}`;
+}
+
+// Format a marker record as a JSON object; the details are merged into the record
+function formatMarkerJson(record) {
+    const entry = {
+        timestamp: record.timestamp,
+        marker: record.marker,
+        direction: record.direction,
+        opcode: record.code,
+        name: record.name,
+        fake: !!record.fake
+    };
+    return JSON.stringify(Object.assign(entry, record.details), bigIntReplacer);
+}
+
+// Format a packet or marker record in the given packet log format
+function formatPacketRecord(record, format) {
+    if (record.marker) {
+        return format === 'jsonl' ? formatMarkerJson(record) : formatMarkerText(record);
+    }
+    return format === 'jsonl' ? formatPacketJson(record) : formatPacketText(record);
+}
+
+// --- Parsing ---
+// Parsed lines are returned in the shape of the JSON Lines format, so every format can be queried the same way.
+
+const PACKET_TEXT_PATTERN = /^(\S+) \| (?:\[(?!FAKE\])([A-Z_]+)\] )?(\[FAKE\] )?(C->S|S->C) \| (\d+) \| ([^|]+?)(?: \| (.*))?$/;
+const ITEM_SKILL_TEXT_PATTERN = /^(\S+) \| ([A-Z][A-Z0-9_]*) \| (.*)$/;
+
+function parseJsonLine(line) {
+    let entry;
+    try {
+        entry = JSON.parse(line);
+    } catch (e) {
+        return null;
+    }
+    if (entry === null || typeof entry !== 'object' || typeof entry.name !== 'string') return null;
+    return entry;
+}
+
+function parsePacketTextLine(match) {
+    const [, timestamp, marker, fake, direction, opcode, name, rest] = match;
+    const entry = { timestamp, direction, opcode: parseInt(opcode, 10), name, fake: !!fake };
+
+    if (marker) {
+        entry.marker = marker;
+        try {
+            Object.assign(entry, JSON.parse(rest));
+        } catch (e) {
+            entry.error = `Unreadable details: ${rest}`;
+        }
+        return entry;
+    }
+
+    // The text format doesn't record the definition version
+    entry.version = null;
+    if (rest === undefined) {
+        entry.length = null;
+    } else if (rest.startsWith('RAW: ')) {
+        entry.raw = rest.slice('RAW: '.length);
+        entry.length = entry.raw.length / 2;
+    } else if (rest.startsWith('PARSED (')) {
+        entry.length = null;
+        entry.error = rest.slice('PARSED ('.length, -1);
+    } else {
+        entry.length = null;
+        try {
+            entry.payload = JSON.parse(rest);
+        } catch (e) {
+            entry.error = `Unreadable payload: ${rest}`;
+        }
+    }
+    return entry;
+}
+
+// Item/skill log labels of 64-bit ids, kept as strings like the BigInts in the packet log (e.g. "GameID", "DBID")
+const ID_LABEL_PATTERN = /(GameID|DBID)$/;
+
+// Item/skill log values become payload fields, keyed by their label without spaces (e.g. "Base ID" -> "BaseID")
+function parseItemSkillTextLine(match) {
+    const [, timestamp, name, text] = match;
+    const payload = {};
+    for (const part of text.split(' | ')) {
+        const field = /^([^:]+): (.*)$/.exec(part);
+        if (!field) continue;
+
+        const key = field[1].replace(/\s+/g, '');
+        const value = field[2];
+        // Ids and numbers too large to be exact are kept as strings, like BigInts in the packet log
+        payload[key] = !ID_LABEL_PATTERN.test(key) && /^-?\d{1,15}(\.\d+)?$/.test(value) ? Number(value) : value;
+    }
+
+    return {
+        timestamp,
+        direction: name.startsWith('C_') ? 'C->S' : (name.startsWith('S_') ? 'S->C' : null),
+        opcode: null,
+        name,
+        fake: null,
+        payload,
+        text
+    };
+}
+
+// Parse a line of any log file. Returns null for blank or unrecognized lines.
+function parseLogLine(line) {
+    const trimmed = line.trim();
+    if (trimmed.length === 0) return null;
+
+    if (trimmed.startsWith('{')) {
+        return parseJsonLine(trimmed);
+    }
+
+    let match = PACKET_TEXT_PATTERN.exec(trimmed);
+    if (match) {
+        return parsePacketTextLine(match);
+    }
+
+    match = ITEM_SKILL_TEXT_PATTERN.exec(trimmed);
+    if (match) {
+        return parseItemSkillTextLine(match);
+    }
+    return null;
+}
+
+module.exports = { PACKET_LOG_FORMATS, bigIntReplacer, formatPacketRecord, parseLogLine };
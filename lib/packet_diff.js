@@ -0,0 +1,54 @@
+'use strict';
+
+// Maximum number of changes recorded per packet, so a completely rewritten packet doesn't produce a huge log line
+const MAX_CHANGES = 50;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !Buffer.isBuffer(value);
+}
+
+function formatValue(value) {
+    if (Buffer.isBuffer(value)) return value.toString('hex');
+    if (typeof value === 'bigint') return value.toString();
+    return value;
+}
+
+// Field-level diff of two parsed events. Returns a list of { path, before, after } for every changed value.
+function diffFields(before, after, fieldPath = '', changes = []) {
+    if (changes.length >= MAX_CHANGES) return changes;
+
+    if (Buffer.isBuffer(before) && Buffer.isBuffer(after)) {
+        if (!before.equals(after)) changes.push({ path: fieldPath, before: formatValue(before), after: formatValue(after) });
+    } else if (Array.isArray(before) && Array.isArray(after)) {
+        for (let i = 0; i < Math.max(before.length, after.length); i++) {
+            diffFields(before[i], after[i], `${fieldPath}[${i}]`, changes);
+        }
+    } else if (isPlainObject(before) && isPlainObject(after)) {
+        for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+            diffFields(before[key], after[key], fieldPath ? `${fieldPath}.${key}` : key, changes);
+        }
+    } else if (before !== after) {
+        changes.push({ path: fieldPath, before: formatValue(before), after: formatValue(after) });
+    }
+    return changes;
+}
+
+// Byte-level diff of two raw packets. Returns a list of { offset, before, after } hex runs of changed bytes.
+function diffBytes(before, after) {
+    const changes = [];
+    const length = Math.max(before.length, after.length);
+
+    let start = -1;
+    for (let i = 0; i <= length && changes.length < MAX_CHANGES; i++) {
+        const changed = i < length && before[i] !== after[i];
+        if (changed && start === -1) {
+            start = i;
+        } else if (!changed && start !== -1) {
+            changes.push({ offset: start, before: before.slice(start, i).toString('hex'), after: after.slice(start, i).toString('hex') });
+            start = -1;
+        }
+    }
+    return changes;
+}
+
+module.exports = { diffFields, diffBytes };
@@ -0,0 +1,121 @@
+'use strict';
+
+// Packet filter expressions used by the `pktlog` command:
+//
+//   [!][c:|s:][fake:|real:]<pattern>
+//
+//   !           - Exclude matching packets instead of including them
+//   c: / s:     - Only match client (C->S) or server (S->C) packets
+//   fake: / real: - Only match packets sent by mods or by the game
+//   <pattern>   - /regex/flags matched against the packet name, #opcode, * for any packet,
+//                 or plain text matched case-insensitively as a substring of the name
+//
+// A packet is logged if it matches no exclude filter and either matches at least one include filter
+// or no include filters are set.
+
+const QUALIFIERS = {
+    'c:': { key: 'incoming', value: false },
+    's:': { key: 'incoming', value: true },
+    'fake:': { key: 'fake', value: true },
+    'real:': { key: 'fake', value: false }
+};
+
+// Plain text filters are stored upper-cased like they always were
+function isPlainText(text) {
+    return text.length > 0 && !/\s/.test(text) && !/^[!#/*]/.test(text) && !Object.keys(QUALIFIERS).some(qualifier => text.toLowerCase().startsWith(qualifier));
+}
+
+// Parse a filter expression. Throws an Error with a readable message if it is invalid.
+function parseFilter(expression) {
+    let rest = expression.trim();
+    const filter = { exclude: false, incoming: null, fake: null };
+
+    if (rest.startsWith('!')) {
+        filter.exclude = true;
+        rest = rest.slice(1);
+    }
+
+    let qualifier;
+    while ((qualifier = Object.keys(QUALIFIERS).find(prefix => rest.toLowerCase().startsWith(prefix)))) {
+        const { key, value } = QUALIFIERS[qualifier];
+        if (filter[key] !== null) {
+            throw new Error(`Conflicting qualifier "${qualifier}" in filter: ${expression}`);
+        }
+        filter[key] = value;
+        rest = rest.slice(qualifier.length);
+    }
+
+    const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(rest);
+    if (regexMatch) {
+        let regex;
+        try {
+            // Drop the stateful global/sticky flags, each test must start from the beginning of the name
+            regex = new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, ''));
+        } catch (e) {
+            throw new Error(`Invalid regular expression in filter ${expression}: ${e.message}`);
+        }
+        filter.pattern = rest;
+        filter.matchName = name => regex.test(name);
+    } else if (/^#\d+$/.test(rest)) {
+        const opcode = parseInt(rest.slice(1), 10);
+        filter.pattern = rest;
+        filter.matchCode = code => code === opcode;
+    } else if (rest === '*') {
+        filter.pattern = rest;
+    } else if (rest.length > 0 && !/\s/.test(rest)) {
+        const text = rest.toUpperCase();
+        filter.pattern = text;
+        filter.matchName = name => name.toUpperCase().includes(text);
+    } else {
+        throw new Error(`Invalid filter: ${expression}`);
+    }
+
+    // Canonical form of the expression, used to store and toggle filters
+    filter.expression = (filter.exclude ? '!' : '')
+        + (filter.incoming === null ? '' : (filter.incoming ? 's:' : 'c:'))
+        + (filter.fake === null ? '' : (filter.fake ? 'fake:' : 'real:'))
+        + filter.pattern;
+    return filter;
+}
+
+// Check a single parsed filter against a packet ({ name, code, incoming, fake })
+function matchesFilter(filter, packet) {
+    if (filter.incoming !== null && filter.incoming !== !!packet.incoming) return false;
+    if (filter.fake !== null && filter.fake !== !!packet.fake) return false;
+    if (filter.matchName && !filter.matchName(packet.name)) return false;
+    if (filter.matchCode && !filter.matchCode(packet.code)) return false;
+    return true;
+}
+
+// Compile a list of filter expressions. Invalid expressions are skipped and reported through onError.
+function compileFilters(expressions, onError) {
+    const includes = [];
+    const excludes = [];
+
+    for (const expression of expressions) {
+        try {
+            const filter = parseFilter(expression);
+            (filter.exclude ? excludes : includes).push(filter);
+        } catch (e) {
+            if (onError) onError(e);
+        }
+    }
+
+    return {
+        hasIncludes: includes.length > 0,
+        matches(packet) {
+            if (excludes.some(filter => matchesFilter(filter, packet))) return false;
+            return includes.length === 0 || includes.some(filter => matchesFilter(filter, packet));
+        }
+    };
+}
+
+// Convert a filter stored before filter expressions existed into an expression with the same meaning
+function migrateLegacyFilter(text) {
+    if (isPlainText(text)) return text;
+
+    // Old filters were plain upper-cased substrings, so escape them into an equivalent regex
+    return `/${text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')}/i`;
+}
+
+module.exports = { parseFilter, compileFilters, migrateLegacyFilter };
@@ -0,0 +1,89 @@
+'use strict';
+
+// Per-packet rate limits and sampling used by the `pktlimit` command:
+//
+//   [c:|s:]<PACKET_NAME> <limit> [<limit>]
+//
+//   c: / s:  - Only limit client (C->S) or server (S->C) packets of that name
+//   <limit>  - <N>/s to let at most N packets through per second, or 1/<N> to let one in N through
+//
+// e.g. "s:S_NPC_LOCATION 1/10 5/s" keeps every tenth S_NPC_LOCATION, and at most 5 of those per second.
+// A rule for one direction takes precedence over a rule for both.
+
+const RULE_PATTERN = /^(?:([cs]):)?([A-Z][A-Z0-9_]*)((?:\s+\S+)+)$/i;
+
+// Parse a limit rule. Throws an Error with a readable message if it is invalid.
+function parsePacketLimit(expression) {
+    const match = RULE_PATTERN.exec(expression.trim());
+    if (!match) {
+        throw new Error(`Invalid packet limit: ${expression} (expected [c:|s:]PACKET_NAME <N>/s and/or 1/<N>)`);
+    }
+
+    const rule = {
+        incoming: match[1] ? match[1].toLowerCase() === 's' : null,
+        name: match[2].toUpperCase(),
+        perSecond: null,
+        sampleEvery: null
+    };
+    for (const limit of match[3].trim().split(/\s+/)) {
+        const rate = /^(\d+)\/s$/i.exec(limit);
+        const sample = /^1\/(\d+)$/.exec(limit);
+        if (rate && rule.perSecond === null) {
+            rule.perSecond = parseInt(rate[1], 10);
+        } else if (sample && rule.sampleEvery === null && parseInt(sample[1], 10) > 0) {
+            rule.sampleEvery = parseInt(sample[1], 10);
+        } else {
+            throw new Error(`Invalid limit "${limit}" in packet limit: ${expression}`);
+        }
+    }
+
+    // Canonical form of the rule, used to store and replace rules
+    rule.key = (rule.incoming === null ? '' : (rule.incoming ? 's:' : 'c:')) + rule.name;
+    rule.expression = [rule.key, rule.sampleEvery !== null ? `1/${rule.sampleEvery}` : null, rule.perSecond !== null ? `${rule.perSecond}/s` : null]
+        .filter(part => part !== null).join(' ');
+    return rule;
+}
+
+// Compile a list of rules. Every call of allow() for a packet with a rule counts towards its limits, so each
+// output that is limited separately (e.g. file and chat) needs its own compiled list.
+function compilePacketLimits(expressions, onError) {
+    const rules = new Map(); // Rule key -> { rule, seen, second, inSecond }
+    for (const expression of expressions) {
+        try {
+            const rule = parsePacketLimit(expression);
+            rules.set(rule.key, { rule, seen: 0, second: null, inSecond: 0 });
+        } catch (e) {
+            if (onError) onError(e);
+        }
+    }
+
+    function find(name, incoming) {
+        return rules.get(`${incoming ? 's:' : 'c:'}${name}`) || rules.get(name) || null;
+    }
+
+    return {
+        get size() { return rules.size; },
+        // Whether a packet gets through its limits
+        allow(name, incoming, time = Date.now()) {
+            if (rules.size === 0) return true;
+            const state = find(name, incoming);
+            if (!state) return true;
+
+            let allowed = true;
+            if (state.rule.sampleEvery !== null) {
+                allowed = state.seen++ % state.rule.sampleEvery === 0;
+            }
+            if (allowed && state.rule.perSecond !== null) {
+                const second = Math.floor(time / 1000);
+                if (second !== state.second) {
+                    state.second = second;
+                    state.inSecond = 0;
+                }
+                allowed = state.inSecond++ < state.rule.perSecond;
+            }
+            return allowed;
+        }
+    };
+}
+
+module.exports = { parsePacketLimit, compilePacketLimits };
@@ -0,0 +1,115 @@
+'use strict';
+
+// Per-packet traffic counters, fed by the raw packet hook
+//
+// For every opcode the following is kept: count, total bytes, min/max size and how much of it was fake.
+// Totals of the last RECENT_SECONDS seconds are kept separately to report the current throughput.
+
+const RECENT_SECONDS = 60;
+
+const SORT_KEYS = {
+    count: entry => entry.count,
+    bytes: entry => entry.bytes,
+    fake: entry => entry.fakeCount,
+    size: entry => entry.bytes / entry.count
+};
+
+function PacketStats() {
+    let entries = new Map();
+    let startedAt = Date.now();
+    let recent = [];
+
+    function record(name, code, incoming, fake, length) {
+        let entry = entries.get(code);
+        if (!entry) {
+            entry = { name, code, direction: incoming ? 'S->C' : 'C->S', count: 0, bytes: 0, min: length, max: length, fakeCount: 0, fakeBytes: 0 };
+            entries.set(code, entry);
+        }
+
+        entry.count++;
+        entry.bytes += length;
+        if (length < entry.min) entry.min = length;
+        if (length > entry.max) entry.max = length;
+        if (fake) {
+            entry.fakeCount++;
+            entry.fakeBytes += length;
+        }
+
+        // One bucket per second, oldest first
+        const second = Math.floor(Date.now() / 1000);
+        let bucket = recent[recent.length - 1];
+        if (!bucket || bucket.second !== second) {
+            bucket = { second, count: 0, bytes: 0 };
+            recent.push(bucket);
+            while (recent[0].second <= second - RECENT_SECONDS) recent.shift();
+        }
+        bucket.count++;
+        bucket.bytes += length;
+    }
+
+    // Seconds since the counters were started, at least one to avoid huge rates right after a reset
+    function elapsedSeconds() {
+        return Math.max(1, (Date.now() - startedAt) / 1000);
+    }
+
+    // An entry with its derived values
+    function describe(entry) {
+        return Object.assign({}, entry, {
+            avg: entry.bytes / entry.count,
+            ratePerSecond: entry.count / elapsedSeconds()
+        });
+    }
+
+    // Throughput over the whole session and over the last RECENT_SECONDS seconds
+    function totals() {
+        let count = 0;
+        let bytes = 0;
+        let fakeCount = 0;
+        for (const entry of entries.values()) {
+            count += entry.count;
+            bytes += entry.bytes;
+            fakeCount += entry.fakeCount;
+        }
+
+        const minSecond = Math.floor(Date.now() / 1000) - RECENT_SECONDS;
+        const window = recent.filter(bucket => bucket.second > minSecond);
+        const recentSeconds = Math.min(RECENT_SECONDS, elapsedSeconds());
+
+        return {
+            seconds: elapsedSeconds(),
+            packets: entries.size,
+            count,
+            bytes,
+            fakeCount,
+            ratePerSecond: count / elapsedSeconds(),
+            bytesPerSecond: bytes / elapsedSeconds(),
+            recentRatePerSecond: window.reduce((sum, bucket) => sum + bucket.count, 0) / recentSeconds,
+            recentBytesPerSecond: window.reduce((sum, bucket) => sum + bucket.bytes, 0) / recentSeconds
+        };
+    }
+
+    // The top entries by one of SORT_KEYS, or all entries if count is omitted
+    function top(count, sortKey = 'count') {
+        const key = SORT_KEYS[sortKey];
+        const sorted = [...entries.values()].sort((a, b) => key(b) - key(a));
+        return (count === undefined ? sorted : sorted.slice(0, count)).map(describe);
+    }
+
+    function reset() {
+        entries = new Map();
+        startedAt = Date.now();
+        recent = [];
+    }
+
+    return {
+        record,
+        totals,
+        top,
+        reset,
+        get startedAt() { return startedAt; }
+    };
+}
+
+PacketStats.SORT_KEYS = Object.keys(SORT_KEYS);
+
+module.exports = PacketStats;
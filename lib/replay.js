@@ -0,0 +1,177 @@
+'use strict';
+
+const { readLogLines } = require('./log_file');
+const { parseLogLine } = require('./log_format');
+const { compileFilters } = require('./packet_filter');
+
+// Upper limit of packets loaded for one replay, so a huge log can't exhaust memory
+const MAX_REPLAY_PACKETS = 200000;
+
+// Strings that bigIntReplacer wrote for BigInts (e.g. gameIds)
+const BIGINT_PATTERN = /^-?\d+$/;
+
+// Fields the packet definitions type as int64/uint64. The definitions aren't available offline, so only these fields
+// (and fields ending in GameId or Dbid) are revived as BigInts; text fields consisting only of digits stay strings.
+const BIGINT_FIELDS = new Set(['gameId', 'target', 'source', 'owner', 'cid', 'dbid', 'money', 'hp', 'curHp', 'maxHp', 'exp', 'curExp', 'maxExp']);
+const BIGINT_FIELD_SUFFIX = /(GameId|Dbid)$/;
+
+// Parse a replay time bound: a number of seconds from the start of the log, or anything Date can parse.
+// Returns { offset } or { time } (milliseconds), or null if the text is not a valid time.
+function parseReplayTime(text) {
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        return { offset: parseFloat(text) * 1000 };
+    }
+    const time = Date.parse(text);
+    return Number.isNaN(time) ? null : { time };
+}
+
+// Helper function to tell whether a field holds BigInts
+function isBigIntField(key) {
+    return BIGINT_FIELDS.has(key) || BIGINT_FIELD_SUFFIX.test(key);
+}
+
+// Turn JSON values back into what the serializer expects; Buffers were logged as { type: 'Buffer', data: [...] } and
+// BigInts as strings. `key` is the name of the field holding the value (also for the elements of an array).
+function reviveEvent(value, key = null) {
+    if (Array.isArray(value)) return value.map(element => reviveEvent(element, key));
+    if (typeof value === 'string') return key !== null && isBigIntField(key) && BIGINT_PATTERN.test(value) ? BigInt(value) : value;
+    if (value === null || typeof value !== 'object') return value;
+    if (value.type === 'Buffer' && Array.isArray(value.data)) return Buffer.from(value.data);
+
+    const event = {};
+    for (const field of Object.keys(value)) {
+        event[field] = reviveEvent(value[field], field);
+    }
+    return event;
+}
+
+// Read the packets to replay from a packet log (text or JSON Lines, optionally gzipped).
+// Marker records and packets without raw or parsed data are skipped. Packets logged without their definition version
+// (the text format) get the version listed in the log's HEADER record, if any.
+//
+// selection:
+//   filters - Packet filter expressions (see packet_filter.js) selecting the packets to replay
+//   since   - Optional lower time bound from parseReplayTime
+//   until   - Optional upper time bound from parseReplayTime
+//
+// Resolves to { packets, truncated, header }, each packet being { time, name, opcode, incoming, fake, version, raw | event },
+// and header the log's first HEADER record or null.
+async function loadReplayPackets(filePath, selection) {
+    const filters = compileFilters(selection.filters || []);
+    const packets = [];
+    let startTime = null;
+    let truncated = false;
+    let header = null;
+    let definitions = {};
+
+    const resolveBound = bound => (bound.offset !== undefined ? startTime + bound.offset : bound.time);
+
+    for await (const line of readLogLines(filePath)) {
+        const record = parseLogLine(line);
+        if (record && record.marker === 'HEADER') {
+            if (!header) header = record;
+            definitions = record.definitions || {};
+            continue;
+        }
+        if (!record || record.marker || typeof record.opcode !== 'number') continue;
+
+        const time = Date.parse(record.timestamp);
+        if (Number.isNaN(time)) continue;
+        if (startTime === null) startTime = time;
+
+        if (selection.since && time < resolveBound(selection.since)) continue;
+        if (selection.until && time >= resolveBound(selection.until)) continue;
+
+        const incoming = record.direction === 'S->C';
+        if (!filters.matches({ name: record.name, code: record.opcode, incoming, fake: record.fake })) continue;
+
+        const packet = { time, name: record.name, opcode: record.opcode, incoming, fake: !!record.fake, version: record.version || definitions[record.name] || null };
+        if (record.raw !== undefined) {
+            packet.raw = Buffer.from(record.raw, 'hex');
+        } else if (record.payload !== undefined) {
+            packet.event = reviveEvent(record.payload);
+        } else {
+            continue;
+        }
+
+        if (packets.length >= MAX_REPLAY_PACKETS) {
+            truncated = true;
+            break;
+        }
+        packets.push(packet);
+    }
+    return { packets, truncated, header };
+}
+
+// Play back loaded packets with their original relative timing.
+//
+// options:
+//   speed    - Playback speed multiplier (2 = twice as fast)
+//   send     - Called with each packet when it is due; returns false if the packet could not be sent
+//   onFinish - Called with { sent, failed, stopped } once every packet was sent or the replay was stopped
+function ReplaySession(packets, options) {
+    const speed = options.speed > 0 ? options.speed : 1;
+    const startedAt = Date.now();
+    let index = 0;
+    let sent = 0;
+    let failed = 0;
+    let timer = null;
+    let finished = false;
+
+    function finish(stopped) {
+        if (finished) return;
+        finished = true;
+        clearTimeout(timer);
+        timer = null;
+        if (options.onFinish) options.onFinish({ sent, failed, stopped });
+    }
+
+    // Packets are scheduled relative to the start of the replay, so timer delays don't add up over a long log
+    function dueAt(packet) {
+        return startedAt + (packet.time - packets[0].time) / speed;
+    }
+
+    function tick() {
+        while (index < packets.length && dueAt(packets[index]) <= Date.now()) {
+            let result;
+            try {
+                result = options.send(packets[index]);
+            } catch (e) {
+                result = false;
+            }
+            if (result === false) {
+                failed++;
+            } else {
+                sent++;
+            }
+            index++;
+        }
+
+        if (index >= packets.length) {
+            finish(false);
+            return;
+        }
+        timer = setTimeout(tick, Math.max(0, dueAt(packets[index]) - Date.now()));
+    }
+
+    // Start on the next tick, so onFinish is never called before the session has been returned
+    timer = setTimeout(tick, 0);
+
+    return {
+        stop() {
+            finish(true);
+        },
+        get progress() {
+            return { index, total: packets.length, sent, failed, finished };
+        }
+    };
+}
+
+// Rewrite the opcode in a raw packet's header (length, opcode, payload), e.g. for a log captured on another patch
+function withOpcode(raw, opcode) {
+    const data = Buffer.from(raw);
+    if (data.length >= 4) data.writeUInt16LE(opcode, 2);
+    return data;
+}
+
+module.exports = { parseReplayTime, reviveEvent, loadReplayPackets, ReplaySession, withOpcode };
@@ -0,0 +1,197 @@
+'use strict';
+
+// Stand-in for the toolbox dispatch and mod objects, so a mod can be loaded and fed a replayed log without the game.
+//
+// Hooks behave like the toolbox's:
+//   - '*' or a packet name, with version 'raw': called with (code, data, incoming, fake); may return false or a new Buffer
+//   - a packet name with any other version: called with the parsed event (only for packets logged as parsed data);
+//     may return false to block the packet
+//   - hooks run in ascending `order`, and skip fake packets unless their filter sets `fake` to true or null
+//
+// Packets sent by the loaded mod with toClient/toServer/send are recorded in `sent`.
+//
+// There are no packet definitions offline: the definition versions are the ones of the logged packets, and fromRaw
+// throws. `game` only knows the local player, from the S_LOGIN packets logged as parsed data.
+//
+// options:
+//   log             - Function printing the mods' log output
+//   protocolVersion - Protocol version the log was recorded with (e.g. from its HEADER record)
+
+function ReplayDispatch(options = {}) {
+    const hooks = [];
+    const sent = [];
+
+    // Opcodes and definition versions of the logged packets, as a stand-in for the protocol map and definitions
+    const codeToName = new Map();
+    const nameToCode = new Map();
+    const latestDefVersion = new Map();
+
+    function learnOpcode(name, opcode, version) {
+        if (name === 'UNKNOWN') return;
+        if (Number.isInteger(version) && !(latestDefVersion.get(name) >= version)) latestDefVersion.set(name, version);
+        if (codeToName.has(opcode)) return;
+        codeToName.set(opcode, name);
+        nameToCode.set(name, opcode);
+    }
+
+    // Stand-in for the toolbox's game state, shared by every loaded mod
+    const game = {
+        isIngame: false,
+        me: {
+            gameId: null,
+            name: null,
+            serverId: null,
+            playerId: null,
+            templateId: null,
+            is: gameId => game.me.gameId !== null && gameId === game.me.gameId,
+            on() {},
+            off() {}
+        },
+        data: { items: new Map() },
+        on() {},
+        off() {}
+    };
+
+    function learnLogin(event) {
+        Object.assign(game.me, {
+            gameId: event.gameId,
+            name: event.name,
+            serverId: event.serverId,
+            playerId: event.playerId,
+            templateId: event.templateId
+        });
+        game.isIngame = true;
+    }
+
+    // Fill the protocol map from the packets to replay, so mods can look up opcodes before the first packet arrives
+    function learnOpcodes(packets) {
+        packets.forEach(packet => learnOpcode(packet.name, packet.opcode, packet.version));
+    }
+
+    function matchesFilter(hook, packet) {
+        const filter = Object.assign({ fake: false, incoming: null }, hook.filter);
+        if (filter.fake !== null && filter.fake !== packet.fake) return false;
+        if (filter.incoming !== null && filter.incoming !== packet.incoming) return false;
+        return true;
+    }
+
+    // Run a replayed packet through the hooks. Returns false if a hook blocked it.
+    function emit(packet) {
+        learnOpcode(packet.name, packet.opcode, packet.version);
+
+        let data = packet.raw || null;
+        const event = packet.event ? Object.assign({}, packet.event) : null;
+        if (packet.name === 'S_LOGIN' && event) learnLogin(event);
+        const ordered = hooks.filter(hook => hook.name === '*' || hook.name === packet.name).sort((a, b) => a.order - b.order);
+
+        for (const hook of ordered) {
+            if (!matchesFilter(hook, packet)) continue;
+
+            let result;
+            if (hook.version === 'raw') {
+                if (!data) continue;
+                result = hook.callback(packet.opcode, data, packet.incoming, packet.fake);
+                if (Buffer.isBuffer(result)) {
+                    data = result;
+                    continue;
+                }
+            } else {
+                if (!event) continue;
+                result = hook.callback(event, packet.fake);
+            }
+
+            if (result === false) return false;
+        }
+        return true;
+    }
+
+    function hook(name, version, hookOptions, callback) {
+        if (typeof hookOptions === 'function') {
+            callback = hookOptions;
+            hookOptions = {};
+        }
+        const entry = { name, version, order: hookOptions.order || 0, filter: hookOptions.filter || {}, callback };
+        hooks.push(entry);
+        return entry;
+    }
+
+    function unhook(entry) {
+        const index = hooks.indexOf(entry);
+        if (index !== -1) hooks.splice(index, 1);
+    }
+
+    function record(incoming, args) {
+        sent.push(args.length === 1 ? { incoming, data: args[0] } : { incoming, name: args[0], version: args[1], event: args[2] });
+        return true;
+    }
+
+    // Minimal mod object exposing the parts of the toolbox API that don't need a game connection
+    function createMod(name, settings = {}) {
+        const commands = new Map();
+        const messages = [];
+        const log = options.log || (() => {});
+
+        return {
+            name,
+            settings,
+            hook,
+            unhook,
+            hookOnce(hookName, version, hookOptions, callback) {
+                if (typeof hookOptions === 'function') {
+                    callback = hookOptions;
+                    hookOptions = {};
+                }
+                const entry = hook(hookName, version, hookOptions, (...args) => {
+                    unhook(entry);
+                    return callback(...args);
+                });
+                return entry;
+            },
+            toClient: (...args) => record(true, args),
+            toServer: (...args) => record(false, args),
+            send(...args) {
+                // send(name, version, event) picks the direction from the packet name
+                return record(typeof args[0] === 'string' ? args[0].startsWith('S_') : true, args);
+            },
+            command: {
+                add(commandName, handler) {
+                    commands.set(commandName, handler);
+                },
+                remove(commandName) {
+                    commands.delete(commandName);
+                },
+                message(message) {
+                    messages.push(message);
+                    log(`[${name}] ${message}`);
+                }
+            },
+            commands,
+            messages,
+            log: (...args) => log(`[${name}]`, ...args),
+            warn: (...args) => log(`[${name}] WARN`, ...args),
+            error: (...args) => log(`[${name}] ERROR`, ...args),
+            game,
+            dispatch: {
+                protocolVersion: options.protocolVersion || null,
+                protocolMap: { code: codeToName, name: nameToCode },
+                latestDefVersion,
+                fromRaw(packetName, version) {
+                    throw new Error(`No definition of ${packetName}.${version} available offline`);
+                }
+            }
+        };
+    }
+
+    return { hook, unhook, emit, learnOpcodes, createMod, sent, game, get hooks() { return hooks.slice(); } };
+}
+
+// Replay loaded packets into a stand-in dispatch as fast as possible. Returns { emitted, blocked }.
+function replayIntoDispatch(dispatch, packets) {
+    let blocked = 0;
+    for (const packet of packets) {
+        if (dispatch.emit(packet) === false) blocked++;
+    }
+    return { emitted: packets.length, blocked };
+}
+
+module.exports = { ReplayDispatch, replayIntoDispatch };
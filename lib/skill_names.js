@@ -0,0 +1,96 @@
+'use strict';
+
+// Player class and race/gender order as encoded in a player's templateId
+const CLASSES = ['warrior', 'lancer', 'slayer', 'berserker', 'sorcerer', 'archer', 'priest', 'elementalist', 'soulless', 'engineer', 'fighter', 'assassin', 'glaiver'];
+const RACE_GENDERS = [
+    ['human', 'male'], ['human', 'female'],
+    ['elf', 'male'], ['elf', 'female'],
+    ['aman', 'male'], ['aman', 'female'],
+    ['castanic', 'male'], ['castanic', 'female'],
+    ['popori', 'male'], ['popori', 'female'], // Female popori are elins
+    ['baraka', 'male']
+];
+
+// Decode a player templateId (e.g. 10101) into class, race and gender, or null for non-player templates
+function decodeTemplateId(templateId) {
+    if (!Number.isInteger(templateId) || templateId < 10100) return null;
+
+    // Race/gender 0 (human male) is 101xx
+    const raceGender = RACE_GENDERS[Math.floor((templateId - 10100) / 100)];
+    const cls = CLASSES[(templateId % 100) - 1];
+    if (!raceGender || !cls) return null;
+
+    return { class: cls, race: raceGender[0], gender: raceGender[1] };
+}
+
+// Case-insensitive compare of a DataCenter attribute against an expected value
+function attributeMatches(attributes, key, value) {
+    return attributes[key] === undefined || String(attributes[key]).toLowerCase() === value;
+}
+
+module.exports = function SkillNames(mod) {
+    // Cache of `${templateId}:${huntingZoneId}:${skillId}` -> Promise resolving to the skill name (or null)
+    const cache = new Map();
+
+    // Look up a player skill's localized name in StrSheet_UserSkill, preferring an exact class/race/gender match
+    async function queryUserSkillName(skillId, player) {
+        const results = await mod.queryData('/StrSheet_UserSkill/String@id=?/', [skillId], true);
+        if (!results || results.length === 0) return null;
+
+        const candidates = results
+            .map(result => result.attributes)
+            .filter(attributes => attributes.name && attributeMatches(attributes, 'class', player.class));
+
+        const best = candidates.find(attributes => attributeMatches(attributes, 'race', player.race) && attributeMatches(attributes, 'gender', player.gender))
+            || candidates.find(attributes => attributeMatches(attributes, 'race', player.race))
+            || candidates[0];
+        return best ? best.name : null;
+    }
+
+    // Look up a skill's internal name in SkillData (used for NPC skills and as a fallback for players)
+    async function querySkillDataName(skillId, templateId, huntingZoneId) {
+        const result = await mod.queryData('/SkillData@huntingZoneId=?/Skill@id=?&templateId=?/', [huntingZoneId, skillId, templateId]);
+        return result && result.attributes.name ? result.attributes.name : null;
+    }
+
+    async function lookup(skill, templateId) {
+        const skillId = skill.id;
+        const huntingZoneId = skill.huntingZoneId || 0;
+
+        if (!skill.npc && huntingZoneId === 0) {
+            const player = decodeTemplateId(templateId);
+            if (player) {
+                const name = await queryUserSkillName(skillId, player);
+                if (name) return name;
+            }
+        }
+
+        if (templateId === undefined) return null;
+        return querySkillDataName(skillId, templateId, huntingZoneId);
+    }
+
+    // Resolve a skill's name for the caster with the given templateId. Resolves to null if the name can't be found.
+    function resolve(skill, templateId) {
+        if (!skill || typeof mod.queryData !== 'function') return Promise.resolve(null);
+
+        const key = `${templateId}:${skill.huntingZoneId || 0}:${skill.id}`;
+        let pending = cache.get(key);
+        if (!pending) {
+            pending = lookup(skill, templateId).catch(e => {
+                // Don't cache failed queries so the lookup is retried next time
+                cache.delete(key);
+                throw e;
+            });
+            cache.set(key, pending);
+        }
+        return pending;
+    }
+
+    function clear() {
+        cache.clear();
+    }
+
+    return { resolve, clear };
+};
+
+module.exports.decodeTemplateId = decodeTemplateId;
@@ -0,0 +1,115 @@
+'use strict';
+
+// Aggregation of S_EACH_SKILL_RESULT packets into damage and heal statistics.
+//
+// Results are split into outgoing (dealt by the local player or their projectiles and summons) and incoming
+// (received by the local player). Each direction is summed up per skill and per other entity (target or source).
+
+// S_EACH_SKILL_RESULT types that are counted
+const RESULT_TYPES = { 1: 'damage', 2: 'heal' };
+
+function createTotals() {
+    return { hits: 0, crits: 0, damage: 0, heal: 0 };
+}
+
+function addToTotals(totals, result) {
+    totals.hits++;
+    if (result.crit) totals.crits++;
+    totals[result.kind] += result.value;
+}
+
+function createDirection() {
+    return { totals: createTotals(), skills: new Map(), entities: new Map(), recent: [] };
+}
+
+// options:
+//   windowSeconds - Length of the sliding window for the current DPS (0 = whole encounter)
+function SkillStats(options) {
+    let startedAt = null;
+    let lastResultAt = null;
+    let directions = { out: createDirection(), in: createDirection() };
+
+    // Add a result: { direction: 'out' | 'in', skill, skillObject, templateId, entity, type, value, crit }
+    // `entity` is the target for outgoing and the source for incoming results. Returns false for uncounted types.
+    function record(result, time = Date.now()) {
+        const kind = RESULT_TYPES[result.type];
+        if (!kind) return false;
+
+        if (startedAt === null) startedAt = time;
+        lastResultAt = time;
+
+        const entry = Object.assign({}, result, { kind, value: Number(result.value) });
+        const direction = directions[result.direction];
+        addToTotals(direction.totals, entry);
+
+        let skill = direction.skills.get(entry.skill);
+        if (!skill) {
+            skill = Object.assign(createTotals(), { skill: entry.skill, skillObject: entry.skillObject, templateId: entry.templateId });
+            direction.skills.set(entry.skill, skill);
+        }
+        addToTotals(skill, entry);
+
+        const entityKey = `${entry.entity}`;
+        let entity = direction.entities.get(entityKey);
+        if (!entity) {
+            entity = Object.assign(createTotals(), { entity: entityKey });
+            direction.entities.set(entityKey, entity);
+        }
+        addToTotals(entity, entry);
+
+        if (kind === 'damage' && options.windowSeconds > 0) {
+            direction.recent.push({ time, value: entry.value });
+            const minTime = time - options.windowSeconds * 1000;
+            while (direction.recent.length > 0 && direction.recent[0].time <= minTime) direction.recent.shift();
+        }
+        return true;
+    }
+
+    // Damage per second over the sliding window, or over the whole encounter without one
+    function dps(direction, time) {
+        if (startedAt === null) return 0;
+        if (!(options.windowSeconds > 0)) {
+            return direction.totals.damage / Math.max(1, (lastResultAt - startedAt) / 1000);
+        }
+
+        const minTime = time - options.windowSeconds * 1000;
+        const damage = direction.recent.filter(hit => hit.time > minTime).reduce((sum, hit) => sum + hit.value, 0);
+        // Early in the encounter, divide by the time fought so far instead of the full window
+        const seconds = Math.max(1, Math.min(options.windowSeconds, (time - startedAt) / 1000));
+        return damage / seconds;
+    }
+
+    function describe(totals) {
+        return Object.assign({}, totals, { critRate: totals.hits > 0 ? totals.crits / totals.hits : 0 });
+    }
+
+    // Summary of one direction, with skills and entities sorted by damage, then healing
+    function summary(directionName, time = Date.now()) {
+        const direction = directions[directionName];
+        const byValue = (a, b) => (b.damage - a.damage) || (b.heal - a.heal);
+        const duration = startedAt === null ? 0 : Math.max(1, (lastResultAt - startedAt) / 1000);
+
+        return Object.assign(describe(direction.totals), {
+            dps: dps(direction, time),
+            averageDps: duration > 0 ? direction.totals.damage / duration : 0,
+            skills: [...direction.skills.values()].sort(byValue).map(describe),
+            entities: [...direction.entities.values()].sort(byValue).map(describe)
+        });
+    }
+
+    function reset() {
+        startedAt = null;
+        lastResultAt = null;
+        directions = { out: createDirection(), in: createDirection() };
+    }
+
+    return {
+        record,
+        summary,
+        reset,
+        get startedAt() { return startedAt; },
+        get lastResultAt() { return lastResultAt; }
+    };
+}
+
+module.exports = SkillStats;
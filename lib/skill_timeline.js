@@ -0,0 +1,133 @@
+'use strict';
+
+// Correlates the local player's skill packets into casts:
+//
+//   C_START_SKILL etc.      - Skill request by the client
+//   S_ACTION_STAGE          - Start of the cast (stage 0) and its later stages, identified by the action id
+//   S_ACTION_END            - End of the cast with the end type (e.g. finished, cancelled, interrupted)
+//   S_START_COOLTIME_SKILL  - Cooldown applied by the cast
+//
+// Each finished cast is passed to onCast as:
+//   { timestamp, skill, baseId, request, latency, stages, speed, endType, duration, cooldown, sincePrevious, gapAfterPrevious }
+// with all times in milliseconds. `latency` is the time from the request to the start, `gapAfterPrevious` the time from
+// the end of the previous cast to the start of this one (negative if this cast started before the previous one ended).
+
+// Client packets requesting a skill
+const REQUEST_PACKETS = ['C_START_SKILL', 'C_PRESS_SKILL', 'C_START_TARGETED_SKILL', 'C_START_COMBO_INSTANT_SKILL', 'C_NOTIMELINE_SKILL'];
+
+// Requests older than this are not matched with a cast anymore
+const MAX_REQUEST_AGE = 2000;
+
+function skillId(skill) {
+    return skill && typeof skill === 'object' ? skill.id : skill;
+}
+
+// options:
+//   isMe   - Function telling whether a gameId belongs to the local player
+//   onCast - Called with (cast, skill) for every finished cast; skill is the packet's skill object
+function SkillTimeline(options) {
+    const openCasts = new Map(); // Action id -> cast
+    const requests = new Map(); // Skill id -> { request, time }
+    let previous = null; // Latest started cast
+
+    function finish(cast) {
+        openCasts.delete(cast.actionId);
+        const { skillObject, actionId, startedAt, endedAt, next, ...record } = cast;
+        options.onCast(record, skillObject);
+    }
+
+    function start(event, time) {
+        const id = skillId(event.skill);
+        const request = requests.get(id);
+        requests.delete(id);
+        const matchedRequest = request && time - request.time <= MAX_REQUEST_AGE ? request : null;
+
+        const cast = {
+            skillObject: event.skill,
+            actionId: `${event.id}`,
+            startedAt: time,
+            endedAt: null,
+            next: null,
+            timestamp: new Date(time).toISOString(),
+            skill: id,
+            baseId: Math.floor((id - 0x4000000) / 10000),
+            request: matchedRequest ? matchedRequest.request : null,
+            latency: matchedRequest ? time - matchedRequest.time : null,
+            stages: [{ stage: event.stage, offset: 0 }],
+            speed: event.speed,
+            endType: null,
+            duration: null,
+            cooldown: null,
+            sincePrevious: previous ? time - previous.startedAt : null,
+            gapAfterPrevious: previous && previous.endedAt !== null ? time - previous.endedAt : null
+        };
+
+        // If the previous cast is still running, the gap is known once it ends
+        if (previous && previous.endedAt === null) {
+            previous.next = cast;
+        }
+
+        openCasts.set(cast.actionId, cast);
+        previous = cast;
+    }
+
+    function handle(name, event, time = Date.now()) {
+        if (REQUEST_PACKETS.includes(name)) {
+            // C_PRESS_SKILL is sent for both pressing and releasing the key
+            if (name === 'C_PRESS_SKILL' && !event.press) return;
+            requests.set(skillId(event.skill), { request: name, time });
+            return;
+        }
+
+        switch (name) {
+            case 'S_ACTION_STAGE': {
+                if (!options.isMe(event.gameId)) return;
+
+                const cast = openCasts.get(`${event.id}`);
+                if (cast) {
+                    cast.stages.push({ stage: event.stage, offset: time - cast.startedAt });
+                } else {
+                    start(event, time);
+                }
+                break;
+            }
+            case 'S_ACTION_END': {
+                if (!options.isMe(event.gameId)) return;
+
+                const cast = openCasts.get(`${event.id}`);
+                if (!cast) return;
+
+                cast.endType = event.type;
+                cast.duration = time - cast.startedAt;
+                cast.endedAt = time;
+                if (cast.next) {
+                    // The next cast started before this one ended, e.g. an animation cancel
+                    cast.next.gapAfterPrevious = cast.next.startedAt - time;
+                }
+                finish(cast);
+                break;
+            }
+            case 'S_START_COOLTIME_SKILL': {
+                // The cooldown belongs to the latest running cast of the skill
+                const id = skillId(event.skill);
+                const casts = [...openCasts.values()].filter(cast => cast.skill === id);
+                if (casts.length > 0) {
+                    casts[casts.length - 1].cooldown = event.cooldown;
+                }
+                break;
+            }
+        }
+    }
+
+    // Report the casts that never ended, e.g. when the mod is unloaded
+    function flush() {
+        [...openCasts.values()].forEach(finish);
+        requests.clear();
+    }
+
+    return { handle, flush };
+}
+
+SkillTimeline.PACKETS = [...REQUEST_PACKETS, 'S_ACTION_STAGE', 'S_ACTION_END', 'S_START_COOLTIME_SKILL'];
+
+module.exports = SkillTimeline;
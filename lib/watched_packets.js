@@ -0,0 +1,299 @@
+'use strict';
+
+// Declarative table of the packets logged by the item/skill/equipment loggers.
+//
+// Each entry describes one hooked packet:
+//   name         - Packet name
+//   version      - Definition version the templates were written for; the latest definition is hooked first and
+//                  this one is the fallback if that fails (optional for entries from the settings)
+//   category     - 'itemSkill' or 'equipment'; selects which game/file output toggles apply
+//   nameType     - Optional 'item' or 'skill'; how to look up a name for the packet
+//   idField      - Field holding the item id, or the skill object for skills
+//   casterField  - Field holding the caster's templateId for skill name lookups (defaults to the player's own)
+//   actorField   - Field (or list of fields) holding the gameId of who caused the event. With chatSelfOnly, only
+//                  events caused by the local player are shown in chat; entries without one are always shown
+//   fallbackName - Name used when the lookup fails
+//   chat         - Template for the in-game message, printed after "<REAL|FAKE> <name>: "
+//   file         - Template for the log file line, printed after "<timestamp> | <name> | "
+//
+// Templates substitute {field.path} with the event's field, {field?yes:no} with one of two texts,
+// and {$name}, {$id} and {$baseId} with the looked up name, the item/skill id and the base skill id.
+// {field|entity} shows a gameId together with the name of the player or NPC, if it is known.
+// Additional entries can be supplied with the "watchedPackets" setting.
+
+module.exports = [
+    // --- Item Usage ---
+    {
+        name: 'C_USE_ITEM',
+        version: 3,
+        category: 'itemSkill',
+        nameType: 'item',
+        idField: 'id',
+        fallbackName: 'Unknown Item',
+        chat: '{$name} (ID: {id}, GameID: {gameId}, DBID: {dbid})',
+        file: 'ID: {id} | Name: {$name} | GameID: {gameId} | DBID: {dbid}'
+    },
+
+    // --- Skill Usage ---
+    {
+        name: 'C_START_SKILL',
+        version: 7,
+        category: 'itemSkill',
+        nameType: 'skill',
+        idField: 'skill',
+        fallbackName: 'Skill {$baseId}',
+        chat: '{$name} (ID: {$id})',
+        file: 'ID: {$id} | Base ID: {$baseId} | Name: {$name}'
+    },
+    {
+        name: 'C_PRESS_SKILL',
+        version: 4,
+        category: 'itemSkill',
+        nameType: 'skill',
+        idField: 'skill',
+        fallbackName: 'Press Skill {$baseId}',
+        chat: '{$name} (ID: {$id})',
+        file: 'ID: {$id} | Base ID: {$baseId} | Name: {$name}'
+    },
+    {
+        name: 'C_START_TARGETED_SKILL',
+        version: 7,
+        category: 'itemSkill',
+        nameType: 'skill',
+        idField: 'skill',
+        fallbackName: 'Targeted Skill {$baseId}',
+        chat: '{$name} (ID: {$id})',
+        file: 'ID: {$id} | Base ID: {$baseId} | Name: {$name}'
+    },
+    {
+        name: 'C_START_COMBO_INSTANT_SKILL',
+        version: 6,
+        category: 'itemSkill',
+        nameType: 'skill',
+        idField: 'skill',
+        fallbackName: 'Combo Skill {$baseId}',
+        chat: '{$name} (ID: {$id})',
+        file: 'ID: {$id} | Base ID: {$baseId} | Name: {$name}'
+    },
+    {
+        name: 'C_NOTIMELINE_SKILL',
+        version: 3,
+        category: 'itemSkill',
+        nameType: 'skill',
+        idField: 'skill',
+        fallbackName: 'NoTimeline Skill {$baseId}',
+        chat: '{$name} (ID: {$id})',
+        file: 'ID: {$id} | Base ID: {$baseId} | Name: {$name}'
+    },
+
+    // --- Equipment ---
+    {
+        name: 'C_EQUIP_ITEM',
+        version: 2,
+        category: 'equipment',
+        nameType: 'item',
+        idField: 'id',
+        fallbackName: 'Unknown Item',
+        chat: '{$name} (ID: {id}) to slot {slot} | GameID: {gameId} | Unk: {unk}',
+        file: 'ID: {id} | Name: {$name} | Slot: {slot} | GameID: {gameId} | Unk: {unk}'
+    },
+    {
+        name: 'C_EQUIP_SERVANT_ITEM',
+        version: 1,
+        category: 'equipment',
+        nameType: 'item',
+        idField: 'itemId',
+        fallbackName: 'Unknown Item',
+        chat: '{$name} (ID: {itemId}) on servant {servantId}',
+        file: 'ID: {itemId} | Name: {$name} | ServantId: {servantId}'
+    },
+    {
+        name: 'C_PET_EQUIP',
+        version: 3,
+        category: 'equipment',
+        nameType: 'item',
+        idField: 'itemId',
+        fallbackName: 'Unknown Item',
+        chat: '{$name} (ID: {itemId}) on pet {petId}',
+        file: 'ID: {itemId} | Name: {$name} | PetId: {petId}'
+    },
+    {
+        name: 'C_REQUEST_EQUIPMENT_INHERITANCE',
+        version: 2,
+        category: 'equipment',
+        chat: 'Source item ({sourceItemUid}) to Target item ({targetItemUid})',
+        file: 'Source: {sourceItemUid} | Target: {targetItemUid}'
+    },
+    {
+        name: 'S_EQUIP_ITEM',
+        version: 1,
+        category: 'equipment',
+        nameType: 'item',
+        idField: 'id',
+        actorField: 'cid',
+        fallbackName: 'Unknown Item',
+        chat: '{$name} (ID: {id}) equipped by CID: {cid|entity}, ItemID: {itemid}',
+        file: 'ID: {id} | Name: {$name} | CID: {cid|entity} | ItemID: {itemid}'
+    },
+    {
+        name: 'S_UNEQUIP_ITEM',
+        version: 2,
+        category: 'equipment',
+        nameType: 'item',
+        idField: 'id',
+        actorField: 'gameId',
+        fallbackName: 'Unknown Item',
+        chat: '{$name} (ID: {id}) unequipped | GameId: {gameId|entity} | ItemId: {itemId}',
+        file: 'ID: {id} | Name: {$name} | GameId: {gameId|entity} | ItemId: {itemId}'
+    },
+    {
+        name: 'S_EQUIP_SERVANT_ITEM',
+        version: 1,
+        category: 'equipment',
+        nameType: 'item',
+        idField: 'itemId',
+        fallbackName: 'Unknown Item',
+        chat: '{$name} (ID: {itemId}) on servant {servantId}',
+        file: 'ID: {itemId} | Name: {$name} | ServantId: {servantId}'
+    },
+    {
+        name: 'S_USER_ITEM_EQUIP_CHANGER',
+        version: 1,
+        category: 'equipment',
+        actorField: 'gameId',
+        chat: 'User {gameId|entity} changed equipment',
+        file: 'GameId: {gameId|entity}'
+    },
+
+    // --- Additional Skill-related Packets ---
+    {
+        name: 'S_EACH_SKILL_RESULT',
+        version: 14,
+        category: 'itemSkill',
+        nameType: 'skill',
+        idField: 'skill',
+        casterField: 'templateId',
+        actorField: ['source', 'owner'],
+        fallbackName: 'Skill Result {$baseId}',
+        chat: '{$name} (ID: {$id}) from {source|entity} to {target|entity}',
+        file: 'ID: {$id} | Base ID: {$baseId} | Name: {$name} | Source: {source|entity} | Target: {target|entity}'
+    },
+    {
+        name: 'S_ACTION_END',
+        version: 5,
+        category: 'itemSkill',
+        nameType: 'skill',
+        idField: 'skill',
+        casterField: 'templateId',
+        actorField: 'gameId',
+        fallbackName: 'Action End {$baseId}',
+        chat: '{$name} (ID: {$id}) by {gameId|entity}',
+        file: 'ID: {$id} | Base ID: {$baseId} | Name: {$name} | GameId: {gameId|entity}'
+    },
+    {
+        name: 'S_ACTION_STAGE',
+        version: 9,
+        category: 'itemSkill',
+        nameType: 'skill',
+        idField: 'skill',
+        casterField: 'templateId',
+        actorField: 'gameId',
+        fallbackName: 'Action Stage {$baseId}',
+        chat: '{$name} (ID: {$id}) by {gameId|entity} stage {stage}',
+        file: 'ID: {$id} | Base ID: {$baseId} | Name: {$name} | GameId: {gameId|entity} | Stage: {stage}'
+    },
+    {
+        name: 'S_START_COOLTIME_SKILL',
+        version: 3,
+        category: 'itemSkill',
+        nameType: 'skill',
+        idField: 'skill',
+        fallbackName: 'Skill Cooldown {$baseId}',
+        chat: '{$name} (ID: {$id}) cooldown: {cooldown}ms',
+        file: 'ID: {$id} | Base ID: {$baseId} | Name: {$name} | Cooldown: {cooldown}ms'
+    },
+
+    // --- Additional Equipment-related Packets ---
+    {
+        name: 'S_OBTAIN_TOKEN_ITEM',
+        version: 1,
+        category: 'equipment',
+        nameType: 'item',
+        idField: 'itemId',
+        fallbackName: 'Unknown Token Item',
+        chat: '{$name} (ID: {itemId}) amount: {amount}',
+        file: 'ID: {itemId} | Name: {$name} | Amount: {amount}'
+    },
+    {
+        name: 'S_PREVIEW_ITEM',
+        version: 1,
+        category: 'equipment',
+        chat: 'Preview item data received',
+        file: 'Preview data received'
+    },
+    {
+        name: 'S_RECEIVE_TOKEN_TARGET_ITEM',
+        version: 1,
+        category: 'equipment',
+        nameType: 'item',
+        idField: 'itemId',
+        fallbackName: 'Unknown Token Target Item',
+        chat: '{$name} (ID: {itemId})',
+        file: 'ID: {itemId} | Name: {$name}'
+    },
+    {
+        name: 'S_RESULT_COMBINE_ITEM',
+        version: 1,
+        category: 'equipment',
+        chat: 'Item combination result: {success?Success:Failed}',
+        file: 'Success: {success}'
+    },
+    {
+        name: 'S_RESULT_REPAIR_ITEM',
+        version: 1,
+        category: 'equipment',
+        chat: 'Item repair result received',
+        file: 'Repair result received'
+    },
+    {
+        name: 'S_SEND_QUEST_ITEM_INFO',
+        version: 1,
+        category: 'equipment',
+        chat: 'Quest item info received',
+        file: 'Quest item info received'
+    },
+    {
+        name: 'S_SET_SEND_PARCEL_ITEM',
+        version: 1,
+        category: 'equipment',
+        chat: 'Parcel item set',
+        file: 'Parcel item set'
+    },
+    {
+        name: 'S_SHOW_TRADE_ITEM',
+        version: 1,
+        category: 'equipment',
+        nameType: 'item',
+        idField: 'itemId',
+        fallbackName: 'Unknown Trade Item',
+        chat: '{$name} (ID: {itemId})',
+        file: 'ID: {itemId} | Name: {$name}'
+    },
+    {
+        name: 'S_USE_RIGHT_ITEM',
+        version: 1,
+        category: 'equipment',
+        chat: 'User {gameId|entity} used right item',
+        file: 'GameId: {gameId|entity}'
+    },
+    {
+        name: 'S_START_COOLTIME_ITEM',
+        version: 1,
+        category: 'equipment',
+        nameType: 'item',
+        idField: 'itemId',
+        fallbackName: 'Unknown Item',
+        chat: '{$name} (ID: {itemId}) cooldown: {cooldown}ms',
+        file: 'ID: {itemId} | Name: {$name} | Cooldown: {cooldown}ms'
+    }
+];
@@ -1,7 +1,12 @@
 "use strict"
 
+const { migrateLegacyFilter } = require('./lib/packet_filter');
+
 const DefaultSettings = {
-    "packetFilters": [],         // Array of filters for packet names (case-insensitive)
+    "packetFilters": [],         // Array of packet filter expressions (see lib/packet_filter.js)
+    "fieldFilters": [],          // Array of payload field predicates (see lib/field_filter.js)
+    "packetLimits": [],          // Array of per-packet rate limits and sampling rules (see lib/packet_limits.js)
+    "filterPresets": {},         // Named presets of filters and toggles, managed with the pktpreset command
     "logFakePackets": false,     // Whether to log packets sent by mods
     "logPktToGame": true,        // Whether to log packets to in-game text
     "logPktToFile": true,        // Whether to log packets to file
@@ -9,14 +14,42 @@ const DefaultSettings = {
     "logItemSkillToFile": true,  // Whether to log item and skill usage to file
     "logEquipmentToGame": true,  // Whether to log equipment-related packets to in-game text
     "logEquipmentToFile": true,  // Whether to log equipment-related packets to file
+    "chatSelfOnly": false,       // Whether item/skill/equipment chat messages are only shown for your own actions
+    "chatMaxMessagesPerSecond": 10, // Maximum number of item/skill/equipment chat messages per second (0 = unlimited)
+    "chatAggregateSeconds": 2,   // Collapse identical chat messages repeated within this many seconds (0 = disabled)
     "logOnlyHookedPackets": true, // Whether to log only specifically hooked packets
+    "logModifiedPackets": true,  // Whether to log what other mods changed in a packet
+    "logBlockedPackets": true,   // Whether to log packets that other mods blocked
+    "logSkillTimeline": true,    // Whether to write the local player's skill casts to a timeline file
+    "logSkillStats": true,       // Whether to write a damage/heal report at the end of each encounter
+    "skillStatsWindowSeconds": 10, // Length of the sliding window for the current DPS (0 = whole encounter)
+    "skillStatsIdleSeconds": 15, // Results outside of an encounter are reported after this many seconds without any
+    "logEncounters": true,       // Whether to tag logs with encounters (fights) and write an index of them
+    "logInventory": true,        // Whether to write inventory, equipment and money changes to the item/skill log
+    "logEquipmentSnapshots": true, // Whether to write equipment snapshots on login and on every equipment change
+    "organizeLogs": true,        // Whether to write the logs to logs/<server>/<character>/<date>/ once logged in
+    "splitLogsOnZoneChange": false, // Whether to start new log files on every zone change
+    "packetLogFormat": "text",   // Output format of the packet log file ("text" or "jsonl")
+    "logQueueMaxRecords": 50000, // Maximum number of packet log records waiting to be written (0 = unlimited)
+    "logQueueBatchSize": 500,    // Number of queued packet log records written per event loop turn
+    "logQueueOverflow": "drop-oldest", // What to drop when the queue is full ("drop-oldest" or "sample")
+    "watchedPackets": [],        // Additional packets for the item/skill/equipment loggers (see lib/watched_packets.js)
+    "logRotateMaxSizeMB": 100,   // Start a new log segment when the current one reaches this size (0 = disabled)
+    "logRotateIntervalMinutes": 0, // Start a new log segment after this many minutes (0 = disabled)
+    "logRetentionMaxFiles": 100, // Maximum number of log files kept in the logs directory (0 = unlimited)
+    "logRetentionMaxTotalSizeMB": 2048, // Maximum total size of the logs directory (0 = unlimited)
+    "logRetentionMaxAgeDays": 30, // Delete log files older than this many days (0 = never)
+    "compressClosedLogs": false, // Whether to gzip log segments once they are closed
     "debug": false               // Whether to enable debug logging
 }
 
 module.exports = function MigrateSettings(from_ver, to_ver, settings) {
     if (from_ver === undefined) {
         // Migrate legacy config file
-        return Object.assign(Object.assign({}, DefaultSettings), settings);
+        settings = Object.assign(Object.assign({}, DefaultSettings), settings);
+        // Legacy filters are plain names, like the filters migrated to v7
+        settings.packetFilters = (settings.packetFilters || []).map(migrateLegacyFilter);
+        return settings;
     } else if (from_ver === null) {
         // No config file exists, use default settings
         return DefaultSettings;
@@ -44,6 +77,107 @@ module.exports = function MigrateSettings(from_ver, to_ver, settings) {
                 delete settings.logToGame;
                 delete settings.logToFile;
                 break;
+
+            case 3:
+                // Migrate from v2 to v3
+                settings.packetLogFormat = DefaultSettings.packetLogFormat;
+                break;
+
+            case 4:
+                // Migrate from v3 to v4
+                settings.watchedPackets = [];
+                break;
+
+            case 5:
+                // Migrate from v4 to v5
+                settings.logRotateMaxSizeMB = DefaultSettings.logRotateMaxSizeMB;
+                settings.logRotateIntervalMinutes = DefaultSettings.logRotateIntervalMinutes;
+                settings.logRetentionMaxFiles = DefaultSettings.logRetentionMaxFiles;
+                settings.logRetentionMaxTotalSizeMB = DefaultSettings.logRetentionMaxTotalSizeMB;
+                settings.logRetentionMaxAgeDays = DefaultSettings.logRetentionMaxAgeDays;
+                break;
+
+            case 6:
+                // Migrate from v5 to v6
+                settings.compressClosedLogs = DefaultSettings.compressClosedLogs;
+                break;
+
+            case 7:
+                // Migrate from v6 to v7: plain name filters became filter expressions
+                settings.packetFilters = (settings.packetFilters || []).map(migrateLegacyFilter);
+                break;
+
+            case 8:
+                // Migrate from v7 to v8
+                settings.fieldFilters = [];
+                break;
+
+            case 9:
+                // Migrate from v8 to v9
+                settings.filterPresets = {};
+                break;
+
+            case 10:
+                // Migrate from v9 to v10
+                settings.logModifiedPackets = DefaultSettings.logModifiedPackets;
+                break;
+
+            case 11:
+                // Migrate from v10 to v11
+                settings.logBlockedPackets = DefaultSettings.logBlockedPackets;
+                break;
+
+            case 12:
+                // Migrate from v11 to v12
+                settings.logSkillTimeline = DefaultSettings.logSkillTimeline;
+                break;
+
+            case 13:
+                // Migrate from v12 to v13
+                settings.logSkillStats = DefaultSettings.logSkillStats;
+                settings.skillStatsWindowSeconds = DefaultSettings.skillStatsWindowSeconds;
+                settings.skillStatsIdleSeconds = DefaultSettings.skillStatsIdleSeconds;
+                break;
+
+            case 14:
+                // Migrate from v13 to v14
+                settings.logEncounters = DefaultSettings.logEncounters;
+                break;
+
+            case 15:
+                // Migrate from v14 to v15
+                settings.organizeLogs = DefaultSettings.organizeLogs;
+                settings.splitLogsOnZoneChange = DefaultSettings.splitLogsOnZoneChange;
+                break;
+
+            case 16:
+                // Migrate from v15 to v16
+                settings.logQueueMaxRecords = DefaultSettings.logQueueMaxRecords;
+                settings.logQueueBatchSize = DefaultSettings.logQueueBatchSize;
+                settings.logQueueOverflow = DefaultSettings.logQueueOverflow;
+                break;
+
+            case 17:
+                // Migrate from v16 to v17
+                settings.packetLimits = [];
+                break;
+
+            case 18:
+                // Migrate from v17 to v18
+                settings.chatSelfOnly = DefaultSettings.chatSelfOnly;
+                settings.chatMaxMessagesPerSecond = DefaultSettings.chatMaxMessagesPerSecond;
+                settings.chatAggregateSeconds = DefaultSettings.chatAggregateSeconds;
+                break;
+
+            case 19:
+                // Migrate from v18 to v19
+                settings.logInventory = DefaultSettings.logInventory;
+                break;
+
+            case 20:
+                // Migrate from v19 to v20
+                settings.logEquipmentSnapshots = DefaultSettings.logEquipmentSnapshots;
+                break;
                 
             // keep old settings, add new ones
             default:
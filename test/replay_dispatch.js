@@ -0,0 +1,84 @@
+'use strict';
+
+// Replays a small packet log into a mod loaded into the stand-in dispatch of tools/replay.js.
+//
+//   node test/replay_dispatch.js
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadReplayPackets, reviveEvent } = require('../lib/replay');
+const { ReplayDispatch, replayIntoDispatch } = require('../lib/replay_dispatch');
+
+const LOG_LINES = [
+    { timestamp: '2025-04-16T00:44:41.000Z', marker: 'HEADER', name: 'SESSION', log: 'packets', protocolVersion: 123456, definitions: { S_LOGIN: 14 } },
+    { timestamp: '2025-04-16T00:44:41.100Z', direction: 'S->C', opcode: 100, name: 'S_LOGIN', fake: false, version: 14, payload: { gameId: '1234567890123', name: 'Name', serverId: 27, playerId: 1, templateId: 10101 } },
+    { timestamp: '2025-04-16T00:44:41.200Z', direction: 'C->S', opcode: 200, name: 'C_USE_ITEM', fake: false, version: 3, payload: { gameId: '1234567890123', id: 6552, dbid: '5', amount: 1 } },
+    { timestamp: '2025-04-16T00:44:41.300Z', direction: 'C->S', opcode: 200, name: 'C_USE_ITEM', fake: true, version: 3, payload: { gameId: '1234567890123', id: 6553, dbid: '6', amount: 1 } },
+    { timestamp: '2025-04-16T00:44:41.400Z', direction: 'S->C', opcode: 300, name: 'S_CHAT', fake: false, raw: '0800c8000100' }
+];
+
+// A mod using the parts of the toolbox API this mod relies on
+function TestMod(mod) {
+    const seen = { own: [], fake: 0, raw: [] };
+
+    mod.hook('C_USE_ITEM', mod.dispatch.latestDefVersion.get('C_USE_ITEM'), { filter: { fake: null } }, (event, fake) => {
+        if (fake) seen.fake++;
+        if (mod.game.me.is(event.gameId)) seen.own.push(event.id);
+        // Blocks the first item use
+        return event.id !== 6552;
+    });
+    mod.hook('*', 'raw', { order: 100 }, (code, data) => {
+        try {
+            mod.dispatch.fromRaw(mod.dispatch.protocolMap.code.get(code), 1, data);
+        } catch (e) {
+            seen.raw.push(code);
+        }
+    });
+
+    this.seen = seen;
+}
+
+async function main() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-'));
+    const logFile = path.join(dir, 'packets_1744764281000.log');
+    fs.writeFileSync(logFile, LOG_LINES.map(line => JSON.stringify(line)).join('\n') + '\n');
+
+    try {
+        const { packets, header } = await loadReplayPackets(logFile, {});
+        assert.strictEqual(packets.length, 4);
+        assert.strictEqual(packets[0].event.gameId, 1234567890123n, 'BigInts are revived');
+        assert.strictEqual(packets[0].event.serverId, 27, 'numbers stay numbers');
+        assert.strictEqual(packets[1].event.dbid, 5n);
+        assert.deepStrictEqual(
+            reviveEvent({ message: '12345', owner: '7', targets: [{ gameId: '8', skill: '9' }], attackerGameId: '10' }),
+            { message: '12345', owner: 7n, targets: [{ gameId: 8n, skill: '9' }], attackerGameId: 10n },
+            'only id fields are revived, digit-only text stays a string'
+        );
+
+        const dispatch = ReplayDispatch({ protocolVersion: header.protocolVersion });
+        dispatch.learnOpcodes(packets);
+        const standIn = dispatch.createMod('test', {});
+        assert.strictEqual(standIn.dispatch.protocolVersion, 123456);
+        assert.strictEqual(standIn.dispatch.latestDefVersion.get('C_USE_ITEM'), 3);
+        assert.strictEqual(standIn.game.isIngame, false);
+
+        const instance = new TestMod(standIn);
+        const result = replayIntoDispatch(dispatch, packets);
+
+        assert.deepStrictEqual(result, { emitted: 4, blocked: 1 });
+        assert.strictEqual(standIn.game.me.name, 'Name', 'the player is known from S_LOGIN');
+        assert.deepStrictEqual(instance.seen.own, [6552, 6553]);
+        assert.strictEqual(instance.seen.fake, 1);
+        assert.deepStrictEqual(instance.seen.raw, [300], 'only RAW packets reach raw hooks, and fromRaw throws offline');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+    console.log('Replay dispatch: ok');
+}
+
+main().catch(e => {
+    process.stderr.write(`${e.stack || e}\n`);
+    process.exit(1);
+});
@@ -0,0 +1,21 @@
+'use strict';
+
+// Decoding of player templateIds into class, race and gender.
+//
+//   node test/skill_names.js
+
+const assert = require('assert');
+const { decodeTemplateId } = require('../lib/skill_names');
+
+assert.deepStrictEqual(decodeTemplateId(10101), { class: 'warrior', race: 'human', gender: 'male' }, 'first race/gender');
+assert.deepStrictEqual(decodeTemplateId(10201), { class: 'warrior', race: 'human', gender: 'female' });
+assert.deepStrictEqual(decodeTemplateId(11001), { class: 'warrior', race: 'popori', gender: 'female' }, 'elin');
+assert.deepStrictEqual(decodeTemplateId(11101), { class: 'warrior', race: 'baraka', gender: 'male' }, 'last race/gender');
+assert.deepStrictEqual(decodeTemplateId(10113), { class: 'glaiver', race: 'human', gender: 'male' }, 'last class');
+
+assert.strictEqual(decodeTemplateId(11201), null, 'unknown race/gender');
+assert.strictEqual(decodeTemplateId(10114), null, 'unknown class');
+assert.strictEqual(decodeTemplateId(10001), null, 'below the player templates');
+assert.strictEqual(decodeTemplateId(undefined), null);
+
+console.log('Skill names: ok');
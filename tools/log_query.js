@@ -0,0 +1,484 @@
+#!/usr/bin/env node
+'use strict';
+
+// Standalone viewer for the mod's log files, no game or toolbox needed:
+//
+//   node tools/log_query.js [options] [file or directory...]
+
+const fs = require('fs');
+const path = require('path');
+const { readLogLines, findFiles, LOG_FILE_PATTERN } = require('../lib/log_file');
+const { parseLogLine } = require('../lib/log_format');
+const { parseFilter, compileFilters } = require('../lib/packet_filter');
+const { parseFieldFilter, compileFieldFilters } = require('../lib/field_filter');
+
+// File name prefix of each kind of log
+const LOG_KINDS = {
+    packets: 'packets_',
+    item_skill: 'item_skill_log_',
+    skill_timeline: 'skill_timeline_',
+    skill_stats: 'skill_stats_',
+    encounters: 'encounters_',
+    equipment: 'equipment_'
+};
+
+const USAGE = `Usage: node tools/log_query.js [options] [file or directory...]
+
+Prints the records of the mod's log files (text or JSON Lines, optionally gzipped).
+Without files, every log in the mod's logs directory is read. Directories are searched including their subdirectories.
+
+Options:
+  -f, --filter <expr>      Packet filter with the syntax of the pktlog command, e.g. S_ACTION or !c:/^C_PLAYER/ (repeatable)
+  -w, --where <expr>       Field filter with the syntax of the pktfield command, e.g. "skill.id=67120964" (repeatable)
+  -d, --direction <c|s>    Only client (C->S) or server (S->C) packets
+      --fake               Only packets sent by mods
+      --real               Only packets sent by the game
+      --since <time>       Only records at or after this time (e.g. 2025-04-16T00:40:00Z)
+      --until <time>       Only records before this time
+      --opcode <number>    Only packets with this opcode
+      --marker <name>      Only marker records of this kind (e.g. MODIFIED or BLOCKED), or "none" for plain packets
+      --encounter <id>     Only records of this encounter (see the encounters log)
+      --log <kind>         Only read one kind of log from directories: ${Object.keys(LOG_KINDS).join(', ')}
+      --map <file>         Protocol map ("NAME OPCODE" per line) used to name UNKNOWN packets
+      --opcodes            Print the opcodes and names of the matching packets instead of the records
+      --info               Print the header and footer of each file (protocol, character, counts) instead of the records
+  -o, --output <format>    Output as "table" (default), "jsonl" or "csv"
+  -n, --limit <count>      Stop after this many records (at least 1)
+  -h, --help               Show this help
+`;
+
+const OUTPUT_FORMATS = ['table', 'jsonl', 'csv'];
+
+// Fields shared by every record; anything else is shown as the record's data
+const CORE_FIELDS = ['timestamp', 'marker', 'direction', 'opcode', 'name', 'fake', 'version', 'length'];
+
+// Width of the data column in table output
+const TABLE_DATA_WIDTH = 160;
+
+function fail(message) {
+    process.stderr.write(`${message}\n\n${USAGE}`);
+    process.exit(1);
+}
+
+function parseTime(text, option) {
+    const time = Date.parse(text);
+    if (Number.isNaN(time)) fail(`Invalid time for ${option}: ${text}`);
+    return time;
+}
+
+function parseArgs(argv) {
+    const options = {
+        filters: [],
+        fieldFilters: [],
+        direction: null,
+        fake: null,
+        since: null,
+        until: null,
+        opcode: null,
+        marker: null,
+        encounter: null,
+        log: null,
+        map: null,
+        opcodes: false,
+        info: false,
+        output: 'table',
+        limit: Infinity,
+        paths: []
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) fail(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '-f':
+            case '--filter':
+                options.filters.push(value());
+                break;
+            case '-w':
+            case '--where':
+                options.fieldFilters.push(value());
+                break;
+            case '-d':
+            case '--direction': {
+                const direction = value().toLowerCase();
+                if (!['c', 's'].includes(direction)) fail(`Invalid direction: ${direction} (use c or s)`);
+                options.direction = direction === 'c' ? 'C->S' : 'S->C';
+                break;
+            }
+            case '--fake':
+                options.fake = true;
+                break;
+            case '--real':
+                options.fake = false;
+                break;
+            case '--since':
+                options.since = parseTime(value(), arg);
+                break;
+            case '--until':
+                options.until = parseTime(value(), arg);
+                break;
+            case '--opcode': {
+                const opcode = value();
+                if (!/^\d+$/.test(opcode)) fail(`Invalid opcode: ${opcode}`);
+                options.opcode = parseInt(opcode, 10);
+                break;
+            }
+            case '--marker':
+                options.marker = value().toUpperCase();
+                break;
+            case '--encounter': {
+                const encounter = value();
+                if (!/^\d+$/.test(encounter)) fail(`Invalid encounter: ${encounter}`);
+                options.encounter = parseInt(encounter, 10);
+                break;
+            }
+            case '--log':
+                options.log = value();
+                if (!LOG_KINDS[options.log]) fail(`Unknown log kind: ${options.log} (use ${Object.keys(LOG_KINDS).join(', ')})`);
+                break;
+            case '--map':
+                options.map = value();
+                break;
+            case '--opcodes':
+                options.opcodes = true;
+                break;
+            case '--info':
+                options.info = true;
+                break;
+            case '-o':
+            case '--output':
+                options.output = value();
+                if (!OUTPUT_FORMATS.includes(options.output)) fail(`Unknown output format: ${options.output} (use ${OUTPUT_FORMATS.join(', ')})`);
+                break;
+            case '-n':
+            case '--limit': {
+                const limit = value();
+                if (!/^\d+$/.test(limit) || parseInt(limit, 10) < 1) fail(`Invalid limit: ${limit} (at least 1)`);
+                options.limit = parseInt(limit, 10);
+                break;
+            }
+            case '-h':
+            case '--help':
+                process.stdout.write(USAGE);
+                process.exit(0);
+                break;
+            default:
+                if (arg.startsWith('-') && arg !== '-') fail(`Unknown option: ${arg}`);
+                options.paths.push(arg);
+        }
+    }
+    return options;
+}
+
+// Read a protocol map into a Map of opcode -> name. Lines look like "S_LOGIN 12345" or "S_LOGIN = 12345".
+function loadProtocolMap(filePath) {
+    const names = new Map();
+    for (const line of fs.readFileSync(filePath, 'utf8').split(/\r?\n/)) {
+        const match = /^\s*([A-Z][A-Z0-9_]*)\s*[=\s]\s*(\d+)\s*$/.exec(line);
+        if (match) names.set(parseInt(match[2], 10), match[1]);
+    }
+    return names;
+}
+
+// Sort key for log files: session, then log kind, then segment number (the first segment has none)
+function logFileSortKey(fileName) {
+    const match = /^([a-z_]+?)_(\d+)(?:\.(\d+))?\.log/.exec(fileName);
+    return [Number(match[2]), match[1], match[3] ? Number(match[3]) : 1];
+}
+
+function compareLogFiles(a, b) {
+    const keyA = logFileSortKey(path.basename(a));
+    const keyB = logFileSortKey(path.basename(b));
+    for (let i = 0; i < keyA.length; i++) {
+        if (keyA[i] < keyB[i]) return -1;
+        if (keyA[i] > keyB[i]) return 1;
+    }
+    return 0;
+}
+
+// Expand the given paths into the list of log files to read, including the ones in subdirectories
+// (e.g. logs/<server>/<character>/<date>/)
+async function collectLogFiles(paths, kind) {
+    const files = [];
+    for (const inputPath of paths) {
+        let stats;
+        try {
+            stats = fs.statSync(inputPath);
+        } catch (e) {
+            fail(`Cannot read ${inputPath}: ${e.message}`);
+        }
+
+        if (!stats.isDirectory()) {
+            files.push(inputPath);
+            continue;
+        }
+
+        const logFiles = await findFiles(inputPath, fileName => {
+            return LOG_FILE_PATTERN.test(fileName) && (kind === null || fileName.startsWith(LOG_KINDS[kind]));
+        });
+        files.push(...logFiles.sort(compareLogFiles));
+    }
+    return files;
+}
+
+// Name of the log a file belongs to, the same for all of its segments (e.g. logs/packets_1744764281000)
+function logStreamName(filePath) {
+    return filePath.replace(/(\.\d+)?\.log(\.gz)?$/, '');
+}
+
+// Encounter of a record: item/skill lines and the encounter index are tagged with it, packets lie between
+// the ENCOUNTER_START and ENCOUNTER_END markers. `open` is the encounter started by the log's latest marker.
+function recordEncounter(record, open) {
+    if (record.encounter !== undefined) return record.encounter;
+    if (record.payload && record.payload.Encounter !== undefined && record.opcode === null) return record.payload.Encounter;
+    return open;
+}
+
+// Build the record test from the command line options. Invalid filter expressions end the program.
+function createMatcher(options) {
+    options.filters.forEach(expression => {
+        try {
+            parseFilter(expression);
+        } catch (e) {
+            fail(e.message);
+        }
+    });
+    options.fieldFilters.forEach(expression => {
+        try {
+            parseFieldFilter(expression);
+        } catch (e) {
+            fail(e.message);
+        }
+    });
+
+    const packetFilters = compileFilters(options.filters);
+    // Records without the field (e.g. headers, footers and item/skill lines) don't match, unless the predicate is !=
+    const fieldFilters = compileFieldFilters(options.fieldFilters, null, { requireField: true });
+
+    return record => {
+        if (options.direction !== null && record.direction !== options.direction) return false;
+        if (options.fake !== null && !!record.fake !== options.fake) return false;
+        if (options.opcode !== null && record.opcode !== options.opcode) return false;
+        if (options.marker !== null && (record.marker || 'NONE') !== options.marker) return false;
+
+        if (options.since !== null || options.until !== null) {
+            const time = Date.parse(record.timestamp);
+            if (options.since !== null && !(time >= options.since)) return false;
+            if (options.until !== null && !(time < options.until)) return false;
+        }
+
+        if (!packetFilters.matches({ name: record.name, code: record.opcode, incoming: record.direction === 'S->C', fake: record.fake })) return false;
+        // Packets are tested on their payload, the records of the other logs (e.g. the skill timeline) on their own fields
+        return fieldFilters.matches(record.name, record.payload !== undefined ? record.payload : record);
+    };
+}
+
+// Everything but the core fields: the payload, raw data or marker details
+function recordData(record) {
+    if (record.payload !== undefined && !record.marker) return record.payload;
+    if (record.raw !== undefined && !record.marker) return `RAW: ${record.raw}`;
+
+    const data = {};
+    for (const key of Object.keys(record)) {
+        if (!CORE_FIELDS.includes(key)) data[key] = record[key];
+    }
+    return data;
+}
+
+function stringifyData(data) {
+    return typeof data === 'string' ? data : JSON.stringify(data);
+}
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : `${value}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatTableRow(record) {
+    let data = `${record.marker ? `[${record.marker}] ` : ''}${record.fake ? '[FAKE] ' : ''}${stringifyData(recordData(record))}`;
+    if (data.length > TABLE_DATA_WIDTH) data = `${data.slice(0, TABLE_DATA_WIDTH - 3)}...`;
+
+    return [
+        `${record.timestamp}`.padEnd(24),
+        `${record.direction || ''}`.padEnd(4),
+        `${record.opcode === null || record.opcode === undefined ? '' : record.opcode}`.padStart(6),
+        `${record.name}`.padEnd(32),
+        data
+    ].join('  ');
+}
+
+const OUTPUTS = {
+    table: {
+        header: () => formatTableRow({ timestamp: 'TIME', direction: 'DIR', opcode: 'OPCODE', name: 'NAME', payload: 'DATA' }),
+        row: formatTableRow
+    },
+    jsonl: {
+        header: () => null,
+        row: record => JSON.stringify(record)
+    },
+    csv: {
+        header: () => 'timestamp,direction,opcode,name,fake,marker,version,length,data',
+        row: record => [
+            record.timestamp, record.direction, record.opcode, record.name, record.fake,
+            record.marker, record.version, record.length, stringifyData(recordData(record))
+        ].map(csvField).join(',')
+    }
+};
+
+// Print one line per file with what its HEADER and FOOTER records say about it
+async function printLogInfo(files, outputFormat) {
+    const columns = ['file', 'started', 'character', 'protocol', 'patch', 'region', 'records', 'packets'];
+    if (outputFormat === 'csv') await writeLine(columns.join(','));
+    if (outputFormat === 'table') await writeLine(`${'FILE'.padEnd(60)}  ${'STARTED'.padEnd(24)}  ${'CHARACTER'.padEnd(20)}  ${'PROTOCOL'.padEnd(8)}  ${'PATCH'.padEnd(6)}  ${'REGION'.padEnd(6)}  ${'RECORDS'.padStart(8)}  PACKETS`);
+
+    for (const filePath of files) {
+        let header = null;
+        let footer = null;
+        let records = 0;
+        let dropped = 0;
+        try {
+            for await (const line of readLogLines(filePath)) {
+                const record = parseLogLine(line);
+                if (!record) continue;
+                if (record.marker === 'HEADER') {
+                    if (!header) header = record;
+                } else if (record.marker === 'FOOTER') {
+                    footer = record;
+                } else if (record.marker === 'DROPPED') {
+                    dropped += record.count || 0;
+                } else {
+                    records++;
+                }
+            }
+        } catch (e) {
+            process.stderr.write(`Failed to read ${filePath}: ${e.message}\n`);
+            continue;
+        }
+
+        if (outputFormat === 'jsonl') {
+            await writeLine(JSON.stringify({ file: filePath, records, dropped, header, footer }));
+            continue;
+        }
+
+        const row = {
+            file: filePath,
+            started: header ? header.timestamp : '',
+            character: header && header.character ? `${header.character.name} (${header.character.serverId})` : '',
+            protocol: header ? header.protocolVersion : '',
+            patch: header ? header.patchVersion : '',
+            region: header ? header.region : '',
+            records,
+            packets: (footer ? `${footer.packets.count} seen, ${footer.lines} logged` : '') + (dropped > 0 ? `${footer ? ', ' : ''}${dropped} dropped` : '')
+        };
+        if (outputFormat === 'csv') {
+            await writeLine(columns.map(column => csvField(row[column])).join(','));
+        } else {
+            await writeLine([
+                `${row.file}`.padEnd(60), `${row.started}`.padEnd(24), `${row.character}`.padEnd(20), `${row.protocol || ''}`.padEnd(8),
+                `${row.patch || ''}`.padEnd(6), `${row.region || ''}`.padEnd(6), `${row.records}`.padStart(8), row.packets
+            ].join('  '));
+        }
+    }
+}
+
+// Write a line to stdout, waiting for it to drain so large logs don't pile up in memory
+function writeLine(line) {
+    if (process.stdout.write(`${line}\n`)) return null;
+    return new Promise(resolve => process.stdout.once('drain', resolve));
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.paths.length === 0) {
+        options.paths.push(path.join(__dirname, '..', 'logs'));
+    }
+
+    let protocolMap = null;
+    if (options.map) {
+        try {
+            protocolMap = loadProtocolMap(options.map);
+        } catch (e) {
+            fail(`Cannot read protocol map ${options.map}: ${e.message}`);
+        }
+    }
+
+    if (options.info) {
+        await printLogInfo(await collectLogFiles(options.paths, options.log), options.output);
+        return;
+    }
+
+    const matches = createMatcher(options);
+    const output = OUTPUTS[options.output];
+    const opcodes = new Map();
+    const openEncounters = new Map(); // Log name -> encounter between its markers
+    let count = 0;
+
+    if (!options.opcodes && output.header() !== null) {
+        await writeLine(output.header());
+    }
+
+    for (const filePath of await collectLogFiles(options.paths, options.log)) {
+        const streamName = logStreamName(filePath);
+        try {
+            for await (const line of readLogLines(filePath)) {
+                const record = parseLogLine(line);
+                if (!record) continue;
+
+                if (options.encounter !== null) {
+                    if (record.marker === 'ENCOUNTER_START') openEncounters.set(streamName, record.encounter);
+                    const encounter = recordEncounter(record, openEncounters.get(streamName));
+                    if (record.marker === 'ENCOUNTER_END') openEncounters.delete(streamName);
+                    if (encounter !== options.encounter) continue;
+                }
+
+                if (record.name === 'UNKNOWN' && protocolMap && protocolMap.has(record.opcode)) {
+                    record.name = protocolMap.get(record.opcode);
+                }
+                if (!matches(record)) continue;
+
+                if (options.opcodes) {
+                    if (record.opcode === null || record.opcode === undefined) continue;
+                    const key = `${record.opcode}|${record.name}`;
+                    const entry = opcodes.get(key) || { opcode: record.opcode, name: record.name, direction: record.direction, count: 0 };
+                    entry.count++;
+                    opcodes.set(key, entry);
+                } else {
+                    await writeLine(output.row(record));
+                }
+
+                if (++count >= options.limit) break;
+            }
+        } catch (e) {
+            process.stderr.write(`Failed to read ${filePath}: ${e.message}\n`);
+        }
+        if (count >= options.limit) break;
+    }
+
+    if (options.opcodes) {
+        const entries = [...opcodes.values()].sort((a, b) => a.opcode - b.opcode);
+        if (options.output === 'jsonl') {
+            for (const entry of entries) await writeLine(JSON.stringify(entry));
+        } else if (options.output === 'csv') {
+            await writeLine('opcode,name,direction,count');
+            for (const entry of entries) await writeLine([entry.opcode, entry.name, entry.direction, entry.count].map(csvField).join(','));
+        } else {
+            await writeLine(`${'OPCODE'.padStart(6)}  ${'DIR'.padEnd(4)}  ${'NAME'.padEnd(32)}  COUNT`);
+            for (const entry of entries) await writeLine(`${`${entry.opcode}`.padStart(6)}  ${entry.direction.padEnd(4)}  ${entry.name.padEnd(32)}  ${entry.count}`);
+        }
+    }
+}
+
+// Stop quietly when the output is closed early, e.g. when piped into head
+process.stdout.on('error', e => {
+    if (e.code === 'EPIPE') process.exit(0);
+    throw e;
+});
+
+main().catch(e => {
+    process.stderr.write(`${e.stack || e}\n`);
+    process.exit(1);
+});
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+'use strict';
+
+// Offline replay harness: loads mods into a stand-in dispatch and feeds them the packets of a captured log.
+//
+//   node tools/replay.js [options] <log file> [mod directory...]
+
+const fs = require('fs');
+const path = require('path');
+const { parseFilter } = require('../lib/packet_filter');
+const { parseReplayTime, loadReplayPackets, ReplaySession } = require('../lib/replay');
+const { ReplayDispatch, replayIntoDispatch } = require('../lib/replay_dispatch');
+
+const USAGE = `Usage: node tools/replay.js [options] <log file> [mod directory...]
+
+Replays the packets of a packet log (RAW hex or parsed payloads) into the given mods, without the game.
+Raw hooks receive packets logged as RAW, versioned hooks receive packets logged as parsed data.
+
+Options:
+  -f, --filter <expr>   Only replay packets matching this pktlog filter expression (repeatable)
+      --since <time>    Only replay packets at or after this time (seconds from the start of the log, or a timestamp)
+      --until <time>    Only replay packets before this time
+      --speed <x>       Replay with the original timing at this speed multiplier (default: as fast as possible)
+  -v, --verbose         Print the mods' log output and every packet they send
+  -h, --help            Show this help
+`;
+
+function fail(message) {
+    process.stderr.write(`${message}\n\n${USAGE}`);
+    process.exit(1);
+}
+
+function parseArgs(argv) {
+    const options = { filters: [], since: null, until: null, speed: 0, verbose: false, paths: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) fail(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '-f':
+            case '--filter': {
+                const expression = value();
+                try {
+                    parseFilter(expression);
+                } catch (e) {
+                    fail(e.message);
+                }
+                options.filters.push(expression);
+                break;
+            }
+            case '--since':
+            case '--until': {
+                const text = value();
+                const bound = parseReplayTime(text);
+                if (!bound) fail(`Invalid time for ${arg}: ${text}`);
+                options[arg.slice(2)] = bound;
+                break;
+            }
+            case '--speed':
+                options.speed = parseFloat(value());
+                if (!(options.speed > 0)) fail('The speed must be a positive number');
+                break;
+            case '-v':
+            case '--verbose':
+                options.verbose = true;
+                break;
+            case '-h':
+            case '--help':
+                process.stdout.write(USAGE);
+                process.exit(0);
+                break;
+            default:
+                if (arg.startsWith('-')) fail(`Unknown option: ${arg}`);
+                options.paths.push(arg);
+        }
+    }
+
+    if (options.paths.length === 0) fail('Missing log file');
+    return options;
+}
+
+// Default settings of a mod, as the toolbox would create them on first start
+function loadDefaultSettings(modDir) {
+    const manifestPath = path.join(modDir, 'module.json');
+    if (!fs.existsSync(manifestPath)) return {};
+
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    const options = manifest.options || {};
+    if (!options.settingsMigrator) return {};
+
+    const migrate = require(path.resolve(modDir, options.settingsMigrator));
+    return migrate(null, options.settingsVersion, {});
+}
+
+function loadMods(dispatch, modDirs) {
+    return modDirs.map(modDir => {
+        const name = path.basename(path.resolve(modDir));
+        const standIn = dispatch.createMod(name, loadDefaultSettings(modDir));
+        const ModClass = require(path.resolve(modDir));
+        return { name, standIn, instance: new ModClass(standIn) };
+    });
+}
+
+function replayWithTiming(dispatch, packets, speed) {
+    let blocked = 0;
+    return new Promise(resolve => {
+        ReplaySession(packets, {
+            speed,
+            send: packet => {
+                if (dispatch.emit(packet) === false) blocked++;
+                return true;
+            },
+            onFinish: ({ sent }) => resolve({ emitted: sent, blocked })
+        });
+    });
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const [logFile, ...modDirs] = options.paths;
+
+    const { packets, truncated, header } = await loadReplayPackets(logFile, options);
+    if (truncated) {
+        process.stderr.write(`Only the first ${packets.length} packets are replayed.\n`);
+    }
+    if (header && options.verbose) {
+        const character = header.character ? ` by ${header.character.name}` : '';
+        console.log(`Log recorded ${header.sessionStartedAt}${character} with protocol version ${header.protocolVersion} (patch ${header.patchVersion}, ${header.region || 'unknown region'})`);
+    }
+
+    const dispatch = ReplayDispatch({
+        log: options.verbose ? (...args) => console.log(...args) : null,
+        protocolVersion: header ? header.protocolVersion : null
+    });
+    dispatch.learnOpcodes(packets);
+    const mods = loadMods(dispatch, modDirs);
+
+    const result = options.speed > 0 ? await replayWithTiming(dispatch, packets, options.speed) : replayIntoDispatch(dispatch, packets);
+
+    if (options.verbose) {
+        for (const packet of dispatch.sent) {
+            const direction = packet.incoming ? 'S->C' : 'C->S';
+            console.log(packet.data ? `Sent ${direction} RAW: ${packet.data.toString('hex')}` : `Sent ${direction} ${packet.name}.${packet.version} ${JSON.stringify(packet.event, (key, value) => (typeof value === 'bigint' ? value.toString() : value))}`);
+        }
+    }
+
+    console.log(`Replayed ${result.emitted} packets into ${mods.length} mod(s): ${result.blocked} blocked, ${dispatch.sent.length} sent by mods.`);
+
+    for (const { instance } of mods) {
+        if (instance && typeof instance.destructor === 'function') instance.destructor();
+    }
+}
+
+main().catch(e => {
+    process.stderr.write(`${e.stack || e}\n`);
+    process.exit(1);
+});